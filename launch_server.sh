@@ -13,6 +13,23 @@ export NODE_ORACLEDB_WALLET_LOCATION=""
 export NODE_ORACLEDB_DBA_USER="mnist"
 export NODE_ORACLEDB_DBA_PASSWORD="mnist"
 export TNS_ADMIN=$ORACLE_HOME/network/admin
+export MNIST_BACKEND="oracle" # "local" runs without a database
+export MNIST_MODEL_NAME="DEEP_LEARNING_MODEL"
+export MNIST_IMAGE_WIDTH=28
+export MNIST_IMAGE_HEIGHT=28
+export MNIST_COLUMN_PREFIX="PX"
+export MNIST_SAMPLES="oracle" # "memory" or "off"
+export MNIST_CACHE_SIZE=1000 # 0 turns the prediction cache off
+export MNIST_CACHE_TTL=3600
+export MNIST_BATCH_WINDOW_MS=5 # 0 sends every prediction on its own
+export MNIST_BATCH_CONCURRENCY=4
+export NODE_ORACLEDB_POOL_MAX=4
+export MNIST_WORKERS=0 # worker processes, each with its own pool; SIGHUP reloads them
+export MNIST_LOG_LEVEL="info" # "debug" for the query results
+# export MNIST_API_KEYS=file MNIST_API_KEYS_FILE=api_keys.txt # see src/apikey.js
+# export MNIST_TRUST_PROXY=1 # behind a load balancer, limit by X-Forwarded-For
+# export MNIST_CORS_ORIGINS="https://dashboard.example.com"
 
-node src/webapp.js
+# any option given to this script is passed on, see node src/webapp.js --help
+node src/webapp.js "$@"
 # nodemon src/webapp.js
@@ -0,0 +1,16 @@
+-- Copyright (c) 2024, Sergio Rivera.
+--
+-- API keys of the clients of the server, for MNIST_API_KEYS=oracle.  Only
+-- the SHA-256 hash of each key is kept, in hex; make keys with
+-- node src/apikey.js NAME, which prints the INSERT.  Set REVOKED_AT to stop
+-- a key; the server notices within a minute.
+--
+-- Run once as the application user:
+--   sqlplus mnist/mnist@//localhost:1521/MNIST @sql/api_keys.sql
+
+CREATE TABLE mnist_api_keys (
+  name        VARCHAR2(64) PRIMARY KEY,
+  key_hash    VARCHAR2(64) NOT NULL UNIQUE,
+  created_at  TIMESTAMP WITH TIME ZONE DEFAULT SYSTIMESTAMP NOT NULL,
+  revoked_at  TIMESTAMP WITH TIME ZONE
+);
@@ -0,0 +1,26 @@
+-- Copyright (c) 2024, Sergio Rivera.
+--
+-- Global temporary table used by POST /api/predict/batch.  Each image is
+-- inserted as one row (ID is its position in the batch) and the whole batch
+-- is scored with a single PREDICTION(DEEP_LEARNING_MODEL USING *) query.
+-- Rows are private to the session and go away at the end of the transaction.
+--
+-- The defaults match DEEP_LEARNING_MODEL.  For another model change them to
+-- its MNIST_BATCH_TABLE, MNIST_COLUMN_PREFIX and width * height.
+--
+-- Run once as the application user:
+--   sqlplus mnist/mnist@//localhost:1521/MNIST @sql/batch_input.sql
+
+DEFINE batch_table = MNIST_BATCH_INPUT
+DEFINE column_prefix = PX
+DEFINE pixel_count = 784
+
+DECLARE
+  ddl VARCHAR2(32767) := 'CREATE GLOBAL TEMPORARY TABLE &batch_table (ID NUMBER';
+BEGIN
+  FOR i IN 1 .. &pixel_count LOOP
+    ddl := ddl || ', &column_prefix' || i || ' NUMBER';
+  END LOOP;
+  EXECUTE IMMEDIATE ddl || ') ON COMMIT DELETE ROWS';
+END;
+/
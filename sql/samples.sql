@@ -0,0 +1,40 @@
+-- Copyright (c) 2024, Sergio Rivera.
+--
+-- Every prediction the server answers is kept in MNIST_SAMPLES: the pixels
+-- (a JSON array of integers 0-255), the predicted label, the model, the time
+-- and the client.  TRUE_LABEL is filled in when a user tells us the right
+-- answer with POST /api/samples/<id>/feedback.
+--
+-- MNIST_TRAINING_SAMPLES shows the labelled 28x28 samples with the same
+-- PX1..PX784 columns the models are trained on, plus LABEL, so a model can
+-- be retrained straight from it.
+--
+-- Run once as the application user:
+--   sqlplus mnist/mnist@//localhost:1521/MNIST @sql/samples.sql
+
+CREATE TABLE mnist_samples (
+  id              NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  created_at      TIMESTAMP WITH TIME ZONE DEFAULT SYSTIMESTAMP NOT NULL,
+  model_name      VARCHAR2(128) NOT NULL,
+  client_id       VARCHAR2(128),
+  predicted_label VARCHAR2(64),
+  true_label      VARCHAR2(64),
+  labelled_at     TIMESTAMP WITH TIME ZONE,
+  width           NUMBER(4) NOT NULL,
+  height          NUMBER(4) NOT NULL,
+  pixels          CLOB NOT NULL CHECK (pixels IS JSON)
+);
+
+CREATE INDEX mnist_samples_created_ix ON mnist_samples (created_at);
+CREATE INDEX mnist_samples_model_ix ON mnist_samples (model_name, true_label);
+
+DECLARE
+  ddl VARCHAR2(32767) := 'CREATE OR REPLACE VIEW mnist_training_samples AS SELECT id';
+BEGIN
+  FOR i IN 1 .. 784 LOOP
+    ddl := ddl || ', JSON_VALUE(pixels, ''$[' || (i - 1) || ']'' RETURNING NUMBER) px' || i;
+  END LOOP;
+  EXECUTE IMMEDIATE ddl || ', true_label label FROM mnist_samples'
+    || ' WHERE true_label IS NOT NULL AND width = 28 AND height = 28';
+END;
+/
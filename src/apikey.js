@@ -0,0 +1,82 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   apikey.js
+ *
+ * DESCRIPTION
+ *   Makes a new API key for a client of the server, see auth.js.
+ *
+ *     node src/apikey.js NAME [--file FILE]
+ *
+ *   Prints the key, which is shown only this once, and adds its hash to the
+ *   key file FILE.  Without --file it prints the line for the key file and
+ *   the INSERT for the MNIST_API_KEYS table instead.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { hashKey } = require('./auth.js');
+
+function main(argv) {
+  let name;
+  let file;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--file') {
+      file = argv[++i];
+    } else if (!argv[i].startsWith('--') && name === undefined) {
+      name = argv[i];
+    } else {
+      throw new Error('Unknown option ' + argv[i]);
+    }
+  }
+  if (!name || !/^[\w.@-]{1,64}$/.test(name) || file === '') {
+    throw new Error('Usage: node src/apikey.js NAME [--file FILE], NAME ' +
+      'has 1 to 64 letters, digits and ._@-');
+  }
+
+  // base64url by hand, Node before 14.18 does not have it
+  const key = 'mnist_' + crypto.randomBytes(24).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_');
+  const hash = hashKey(key);
+  console.log('API key for ' + name + ': ' + key);
+  if (file) {
+    fs.appendFileSync(file, hash + ' ' + name + '\n');
+    console.log('Added to ' + file);
+  } else {
+    console.log('Key file line:\n  ' + hash + ' ' + name);
+    console.log('Or in the database:\n  INSERT INTO mnist_api_keys ' +
+      "(name, key_hash) VALUES ('" + name + "', '" + hash + "');");
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error('apikey: ' + err.message);
+  process.exit(1);
+}
@@ -0,0 +1,202 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   auth.js
+ *
+ * DESCRIPTION
+ *   API keys.  Clients send their key as "Authorization: Bearer <key>" or
+ *   "X-API-Key: <key>".  Only the SHA-256 hash of each key is stored, with
+ *   the name of its owner, so a leaked store does not leak the keys.  The
+ *   keys are long random strings, see apikey.js, which a plain hash is
+ *   enough for.
+ *
+ *   The store is chosen with the auth.keys setting (MNIST_API_KEYS):
+ *     "off"     no keys, every client is anonymous.  This is the default.
+ *     "file"    the file named by auth.keysFile, one "<hash> <name>" line
+ *               per key.  Empty lines and lines starting with # are
+ *               skipped.
+ *     "oracle"  the MNIST_API_KEYS table, see sql/api_keys.sql.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// How long the oracle store remembers the answer for a key
+const KEY_CACHE_MS = 60 * 1000;
+const MAX_CACHED_KEYS = 10000;
+// Unknown keys are remembered apart, so a flood of made-up keys cannot push
+// the known ones out of the cache
+const MAX_CACHED_MISSES = 1000;
+
+// Raised when a request is refused: unknown API key (401), too many
+// requests (429, with retryAfter seconds) or a body too large (413)
+class AccessError extends Error {
+  constructor(message, statusCode, retryAfter) {
+    super(message);
+    this.name = 'AccessError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Returns the hash a key is stored as
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns the API key of a request, or null when it has none
+function apiKeyOf(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+  if (match) {
+    return match[1];
+  }
+  return request.headers['x-api-key'] || null;
+}
+
+// Reads a key file into a Map of hash -> name
+function readKeyFile(file) {
+  const keys = new Map();
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    line = line.trim();
+    if (line === '' || line.startsWith('#')) {
+      return;
+    }
+    const match = /^([0-9a-f]{64})\s+(\S.*)$/.exec(line);
+    if (!match) {
+      throw new Error(file + ' line ' + (i + 1) + ' is not "<sha256 hash> ' +
+        '<name>"');
+    }
+    keys.set(match[1], match[2]);
+  });
+  return keys;
+}
+
+// Remembers the value for a hash for ms milliseconds in a Map of at most
+// max entries, forgetting the oldest one first
+function remember(cache, max, hash, value, ms) {
+  cache.delete(hash);
+  if (cache.size >= max) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(hash, { value: value, expires: Date.now() + ms });
+}
+
+// Key store read from a file.  reload() reads the file again.
+function createFileStore(file) {
+  let keys = readKeyFile(file);
+
+  return {
+    lookup: async (key) => keys.get(hashKey(key)) || null,
+    peek: (key) => keys.get(hashKey(key)) || null,
+    reload() {
+      keys = readKeyFile(file);
+    },
+  };
+}
+
+// Key store kept in the MNIST_API_KEYS table.  Answers are cached for
+// KEY_CACHE_MS so most requests do not query the table; a revoked key
+// stops working within that time.  lookup() takes the trace of the request,
+// which tags the session like the backend does.
+function createOracleStore() {
+  const oracledb = require('oracledb');
+  const { getConnection } = require('./backends/oracle.js');
+  // hash -> {value: name, expires} of the known keys
+  const cache = new Map();
+  // hash -> {value: null, expires} of the unknown ones
+  const misses = new Map();
+
+  function cached(map, hash) {
+    const entry = map.get(hash);
+    return entry && entry.expires > Date.now();
+  }
+
+  async function lookup(key, trace = {}) {
+    const hash = hashKey(key);
+    if (cached(cache, hash)) {
+      return cache.get(hash).value;
+    }
+    if (cached(misses, hash)) {
+      return null;
+    }
+    let connection;
+    try {
+      connection = await getConnection(
+        Object.assign({ action: 'key lookup' }, trace));
+      const result = await connection.execute(
+        `SELECT name
+           FROM mnist_api_keys
+          WHERE key_hash = :hash AND revoked_at IS NULL`,
+        { hash: hash },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT });
+      const name = result.rows.length > 0 ? result.rows[0].NAME : null;
+      if (name) {
+        remember(cache, MAX_CACHED_KEYS, hash, name, KEY_CACHE_MS);
+      } else {
+        remember(misses, MAX_CACHED_MISSES, hash, null, KEY_CACHE_MS);
+      }
+      return name;
+    } finally {
+      if (connection) {
+        await connection.close();
+      }
+    }
+  }
+
+  return {
+    lookup: lookup,
+    // Returns the name of a key known without querying the table, or null
+    peek(key) {
+      const hash = hashKey(key);
+      return cached(cache, hash) ? cache.get(hash).value : null;
+    },
+    reload() {
+      cache.clear();
+      misses.clear();
+    },
+  };
+}
+
+// Returns the key store of the auth settings, or null when auth.keys is
+// "off"
+function getKeyStore(settings) {
+  if (settings.keys === 'file') {
+    return createFileStore(settings.keysFile);
+  }
+  if (settings.keys === 'oracle') {
+    return createOracleStore();
+  }
+  return null;
+}
+
+module.exports = {
+  AccessError,
+  hashKey,
+  apiKeyOf,
+  getKeyStore,
+};
@@ -0,0 +1,88 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   index.js
+ *
+ * DESCRIPTION
+ *   Selects the prediction backend from the backend setting (MNIST_BACKEND):
+ *   "oracle" (the default) runs the in-database model, "local" runs a
+ *   fixed-weight model in process so no database is needed.
+ *
+ *   Every backend exports the same interface:
+ *
+ *     name                  backend name
+ *     models                the models served, as [{name, width, height}]
+ *     modelName             name of the default model
+ *     width, height         input image size the default model expects
+ *     init(config)          connects or loads the models, called once with
+ *                           the settings from config.js
+ *     close()               releases resources on shutdown
+ *     ping(trace)           resolves when the backend can predict, rejects
+ *                           with the reason otherwise
+ *     poolStatistics()      connection pool statistics, or null without a
+ *                           pool
+ *     predict(pixels, topK, model, trace)
+ *                           resolves to {value, classes} for one image:
+ *                           the model value and the topK most probable
+ *                           classes as [{label, probability}]
+ *     predictBatch(images, model, trace)
+ *                           resolves to the model values, in input order
+ *     predictMany(images, topK, model, trace)
+ *                           resolves to one {value, classes} per image, in
+ *                           input order, from a single batched query
+ *
+ *   The model argument is a name from models, the default model when it is
+ *   not given.  The optional trace argument, {requestId, action}, tells the
+ *   backend which request a call serves, for its logs and the database
+ *   session.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const BACKENDS = {
+  oracle: './oracle.js',
+  local: './local.js',
+};
+
+// Only the selected backend is loaded, so the local backend does not need
+// the Oracle client libraries
+function getBackend(name) {
+  name = name || 'oracle';
+  if (!(name in BACKENDS)) {
+    throw new Error('Unknown MNIST_BACKEND "' + name + '", use one of: ' +
+      Object.keys(BACKENDS).join(', '));
+  }
+  return require(BACKENDS[name]);
+}
+
+// Returns the label for a model value.  Numeric values are rounded to a
+// class, others (such as the letters of an EMNIST model) are already labels.
+function toLabel(value) {
+  const number = Number(value);
+  return Number.isNaN(number) ? value : Math.round(number);
+}
+
+module.exports = { getBackend, toLabel };
@@ -0,0 +1,223 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   local.js
+ *
+ * DESCRIPTION
+ *   In-process prediction backend that needs no database.  It loads small
+ *   fixed-weight classifiers from JSON files and scores images with them.
+ *   Results are deterministic, which makes it suitable for development, demos
+ *   and CI.
+ *
+ *   The default model is models/local_linear.json (override with the
+ *   local.model setting, MNIST_LOCAL_MODEL).  Every other model file in the
+ *   models directory (or in local.modelDir, MNIST_LOCAL_MODEL_DIR) is served
+ *   too.
+ *
+ *   A model file holds "name", "width", "height", "labels" and either
+ *     "type": "linear"    "bias" (one value per label) and "weights" (one row
+ *                         of width*height values per label), or
+ *     "type": "centroid"  "centroids" (one mean image per label) and a
+ *                         "temperature" for the softmax of the distances.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger.js');
+
+const DEFAULT_MODEL_DIR = path.join(__dirname, '..', '..', 'models');
+const DEFAULT_MODEL_FILE = path.join(DEFAULT_MODEL_DIR, 'local_linear.json');
+
+// Model name -> model file contents, default model first
+const models = new Map();
+
+// Tells whether value is an array of rows arrays of cols numbers each, or of
+// rows numbers when cols is not given
+function isMatrix(value, rows, cols) {
+  return Array.isArray(value) && value.length === rows &&
+    value.every((row) => cols === undefined ? Number.isFinite(row) :
+      isMatrix(row, cols));
+}
+
+// Loads and checks one model file
+async function loadModel(file) {
+  const json = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+  if (json === null || typeof json !== 'object' ||
+      typeof json.name !== 'string' || !Array.isArray(json.labels) ||
+      json.labels.length === 0) {
+    throw new Error(file + ': "name" and "labels" are required');
+  }
+  if (!Number.isInteger(json.width) || !Number.isInteger(json.height)) {
+    throw new Error(file + ': "width" and "height" must be integers');
+  }
+  const size = json.width * json.height;
+  const classes = json.labels.length;
+  const type = json.type || 'linear';
+  if (type === 'linear') {
+    if (!isMatrix(json.bias, classes) ||
+        !isMatrix(json.weights, classes, size)) {
+      throw new Error(file + ': expected ' + classes + ' weight rows of ' +
+        size + ' values and ' + classes + ' biases');
+    }
+  } else if (type === 'centroid') {
+    if (!isMatrix(json.centroids, classes, size) ||
+        !(json.temperature > 0)) {
+      throw new Error(file + ': expected ' + classes + ' centroids of ' +
+        size + ' values and a positive temperature');
+    }
+  } else {
+    throw new Error(file + ': unknown model type "' + type + '"');
+  }
+  json.type = type;
+  return json;
+}
+
+// Loads the default model, then the other model files of the models
+// directory.  config holds the local settings of config.js.
+async function init(config) {
+  const file = config.local.model || DEFAULT_MODEL_FILE;
+  const dir = config.local.modelDir || DEFAULT_MODEL_DIR;
+  const defaultModel = await loadModel(file);
+  models.set(defaultModel.name, defaultModel);
+  logger.info("Loaded local model " + defaultModel.name, { file: file });
+
+  const others = (await fs.promises.readdir(dir))
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => path.join(dir, name))
+    .filter((other) => path.resolve(other) !== path.resolve(file))
+    .sort();
+  for (const other of others) {
+    try {
+      const model = await loadModel(other);
+      if (!models.has(model.name)) {
+        models.set(model.name, model);
+        logger.info("Loaded local model " + model.name, { file: other });
+      }
+    } catch (err) {
+      logger.warn("Skipping " + other, err);
+    }
+  }
+
+  module.exports.models = Array.from(models.values(), (model) => ({
+    name: model.name,
+    width: model.width,
+    height: model.height
+  }));
+  module.exports.modelName = defaultModel.name;
+  module.exports.width = defaultModel.width;
+  module.exports.height = defaultModel.height;
+}
+
+async function close() {
+  models.clear();
+}
+
+// The models are in memory, so the backend is ready once they are loaded
+async function ping() {
+  if (models.size === 0) {
+    throw new Error('No local model loaded');
+  }
+}
+
+// There is no connection pool
+function poolStatistics() {
+  return null;
+}
+
+// Returns a model, the default model when name is not given
+function getModel(name) {
+  const model = models.get(name || module.exports.modelName);
+  if (!model) {
+    throw new Error('Unknown model ' + name);
+  }
+  return model;
+}
+
+// Returns one score per label, higher is more likely
+function scores(model, pixels) {
+  if (model.type === 'centroid') {
+    return model.centroids.map((centroid) => {
+      let distance = 0;
+      for (let i = 0; i < centroid.length; i++) {
+        distance += (pixels[i] - centroid[i]) ** 2;
+      }
+      return -distance / model.temperature;
+    });
+  }
+  return model.weights.map((weights, c) => {
+    let sum = model.bias[c];
+    for (let i = 0; i < weights.length; i++) {
+      sum += weights[i] * pixels[i];
+    }
+    return sum;
+  });
+}
+
+// Returns every label with its softmax probability, most probable first
+function score(model, pixels) {
+  const values = scores(model, pixels);
+  const max = Math.max(...values);
+  const exps = values.map((value) => Math.exp(value - max));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return model.labels
+    .map((label, c) => ({ label: label, probability: exps[c] / total }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+async function predict(pixels, topK, modelName) {
+  const classes = score(getModel(modelName), pixels.map(Number));
+  return {
+    value: classes[0].label,
+    classes: topK ? classes.slice(0, topK) : []
+  };
+}
+
+async function predictBatch(images, modelName) {
+  const model = getModel(modelName);
+  return images.map((pixels) => score(model, pixels)[0].label);
+}
+
+async function predictMany(images, topK, modelName) {
+  return Promise.all(images.map((pixels) => predict(pixels, topK, modelName)));
+}
+
+module.exports = {
+  name: 'local',
+  models: [],
+  modelName: undefined,
+  width: undefined,
+  height: undefined,
+  init,
+  close,
+  ping,
+  poolStatistics,
+  predict,
+  predictBatch,
+  predictMany,
+};
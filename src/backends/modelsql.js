@@ -0,0 +1,241 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   modelsql.js
+ *
+ * DESCRIPTION
+ *   Builds the prediction statements for an in-database model from its
+ *   description instead of hand-typed SQL, so the same server can run other
+ *   image models (Fashion-MNIST, EMNIST letters, ...).
+ *
+ *   A model is described by its name, input width and height, and the prefix
+ *   of its pixel columns: DEEP_LEARNING_MODEL takes 28x28 images as the
+ *   attributes PX1 to PX784.  The description comes from, lowest priority
+ *   first, the defaults below, the JSON file named by the model.configFile
+ *   setting (MNIST_MODEL_CONFIG), and the model.name, model.width,
+ *   model.height, model.prefix and model.batchTable settings of config.js.
+ *
+ *   At startup the description is checked against USER_MINING_MODEL_ATTRIBUTES
+ *   so a mismatch fails with a clear message instead of wrong predictions.
+ *
+ *   Several models can be served side by side.  The config file may list them
+ *   in a "models" array, each entry inheriting the top level settings, which
+ *   describe the default model:
+ *
+ *     {"name": "DEEP_LEARNING_MODEL", "width": 28, "height": 28, "prefix": "PX",
+ *      "models": [{"name": "DEEP_LEARNING_MODEL_V2"}, {"name": "EMNIST_MODEL"}]}
+ *
+ *   Without a "models" array, the models are discovered from USER_MINING_MODELS
+ *   and every one whose attributes fit the default model's image is served.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const { logger } = require('../logger.js');
+
+const DEFAULT_SPEC = {
+  name: 'DEEP_LEARNING_MODEL',
+  width: 28,
+  height: 28,
+  prefix: 'PX',
+  batchTable: 'MNIST_BATCH_INPUT',
+};
+
+// Names are spliced into the SQL text, so only plain identifiers are allowed
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_$#]{0,127}$/;
+
+// Returns the contents of the model config file, {} when there is none
+function readConfigFile(file) {
+  if (!file) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error('Cannot read model config ' + file + ': ' + err.message);
+  }
+}
+
+// Returns the default model description from the defaults, the model config
+// file and the model settings, in that order
+function readModelSpec(settings = {}) {
+  const config = readConfigFile(settings.configFile);
+  const spec = Object.assign({}, DEFAULT_SPEC, config);
+  delete spec.models;
+  for (const key of ['name', 'width', 'height', 'prefix', 'batchTable']) {
+    if (settings[key] !== undefined) {
+      spec[key] = settings[key];
+    }
+  }
+  return checkModelSpec(spec);
+}
+
+// Returns the descriptions of the models listed in the config file, each
+// based on the default model's, or null when the file does not list any
+function readModelSpecs(settings = {}) {
+  const config = readConfigFile(settings.configFile);
+  if (!Array.isArray(config.models)) {
+    return null;
+  }
+  const defaults = readModelSpec(settings);
+  return config.models.map((entry) => {
+    const spec = Object.assign({}, defaults, entry);
+    if (!entry.batchTable && spec.name !== defaults.name &&
+        (spec.width !== defaults.width || spec.height !== defaults.height ||
+         spec.prefix !== defaults.prefix)) {
+      throw new Error('Model ' + spec.name + ' needs its own "batchTable" ' +
+        'because its pixel columns differ from the default model');
+    }
+    return checkModelSpec(spec);
+  });
+}
+
+// Throws when the description cannot be turned into SQL
+function checkModelSpec(spec) {
+  for (const key of ['name', 'prefix', 'batchTable']) {
+    if (typeof spec[key] !== 'string' || !IDENTIFIER.test(spec[key])) {
+      throw new Error('Model ' + key + ' "' + spec[key] + '" is not a valid ' +
+        'Oracle identifier');
+    }
+  }
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(spec[key]) || spec[key] < 1) {
+      throw new Error('Model ' + key + ' "' + spec[key] + '" must be a ' +
+        'positive integer');
+    }
+  }
+  spec.name = spec.name.toUpperCase();
+  spec.prefix = spec.prefix.toUpperCase();
+  spec.batchTable = spec.batchTable.toUpperCase();
+  return spec;
+}
+
+// Returns the pixel column names: PX1, PX2, ... PX784
+function pixelColumns(spec) {
+  const columns = [];
+  for (let i = 1; i <= spec.width * spec.height; i++) {
+    columns.push(spec.prefix + i);
+  }
+  return columns;
+}
+
+// Returns the SQL for a model.  The USING clause binds one value per pixel,
+// by position, so the pixel array can be passed as the bind values:
+//   predict       one image -> model value
+//   predictSet    :k then one image -> top k (prediction, probability) rows
+//   batchInsert   id then one image, for executeMany into the batch table
+//   batchPredict  (id, model value) for every image in the batch table
+function buildStatements(spec) {
+  const columns = pixelColumns(spec);
+  const using = columns.map((col, i) => ':' + (i + 1) + ' AS ' + col)
+    .join(', ');
+  const batchColumns = ['ID'].concat(columns);
+
+  return {
+    predict:
+      `SELECT prediction(${spec.name} USING ${using}) pred FROM dual`,
+    predictSet:
+      `SELECT s.prediction, s.probability
+         FROM TABLE(SELECT prediction_set(${spec.name}, :k USING ${using})
+                      FROM dual) s
+        ORDER BY s.probability DESC`,
+    batchColumns: batchColumns,
+    batchInsert:
+      'INSERT INTO ' + spec.batchTable + ' (' + batchColumns.join(', ') +
+      ') VALUES (' + batchColumns.map((col, i) => ':' + (i + 1)).join(', ') +
+      ')',
+    batchPredict:
+      `SELECT id, prediction(${spec.name} USING *) pred
+         FROM ${spec.batchTable}
+        ORDER BY id`,
+    batchPredictSet:
+      `SELECT t.id, s.prediction, s.probability
+         FROM (SELECT id, prediction_set(${spec.name}, :k USING *) pset
+                 FROM ${spec.batchTable}) t,
+              TABLE(t.pset) s
+        ORDER BY t.id, s.probability DESC`,
+  };
+}
+
+// Checks the description against the model's attributes in the database.
+// Every input attribute must be one of the pixel columns, otherwise the
+// model was trained on other images than the ones we would send it.
+async function checkModelAttributes(connection, spec) {
+  const result = await connection.execute(
+    `SELECT attribute_name
+       FROM user_mining_model_attributes
+      WHERE model_name = :name
+        AND target = 'NO'`,
+    { name: spec.name });
+  if (result.rows.length === 0) {
+    throw new Error('Model ' + spec.name + ' was not found in ' +
+      'USER_MINING_MODEL_ATTRIBUTES, check MNIST_MODEL_NAME');
+  }
+
+  const columns = new Set(pixelColumns(spec));
+  const unknown = result.rows.map((row) => row[0])
+    .filter((name) => !columns.has(name));
+  if (unknown.length > 0) {
+    throw new Error('Model ' + spec.name + ' has ' + unknown.length +
+      ' attributes that are not ' + spec.prefix + '1..' + spec.prefix +
+      columns.size + ' (' + spec.width + 'x' + spec.height + ' image), ' +
+      'for example ' + unknown.slice(0, 3).join(', ') + '.  Check ' +
+      'MNIST_IMAGE_WIDTH, MNIST_IMAGE_HEIGHT and MNIST_COLUMN_PREFIX');
+  }
+  return result.rows.length;
+}
+
+// Returns the descriptions of the models in USER_MINING_MODELS whose
+// attributes fit the image of the template description
+async function discoverModels(connection, template) {
+  const result = await connection.execute(
+    `SELECT model_name
+       FROM user_mining_models
+      ORDER BY model_name`);
+  const specs = [];
+  for (const row of result.rows) {
+    const spec = Object.assign({}, template, { name: row[0] });
+    try {
+      await checkModelAttributes(connection, spec);
+      specs.push(spec);
+    } catch (err) {
+      logger.warn("Skipping model " + row[0], err);
+    }
+  }
+  return specs;
+}
+
+module.exports = {
+  DEFAULT_SPEC,
+  readModelSpec,
+  readModelSpecs,
+  discoverModels,
+  checkModelSpec,
+  pixelColumns,
+  buildStatements,
+  checkModelAttributes,
+};
@@ -0,0 +1,337 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   oracle.js
+ *
+ * DESCRIPTION
+ *   Prediction backend that scores images with in-database models through
+ *   node-oracledb.  This is the default backend.  The models come from the
+ *   config file or USER_MINING_MODELS, DEEP_LEARNING_MODEL is the default,
+ *   and the SQL of each one is built at startup by modelsql.js.
+ *
+ *   In some networks forced pool termination may hang unless you have
+ *   'disable_oob=on' in sqlnet.ora, see
+ *   https://node-oracledb.readthedocs.io/en/latest/user_guide/connection_handling.html#limiting-the-time-taken-to-execute-statements
+ *
+ *   In production applications, set poolMin=poolMax (and poolIncrement=0)
+ *
+ *****************************************************************************/
+
+'use strict';
+
+// Note: if you use Thick mode, and you increase poolMax, then you must also
+// increase UV_THREADPOOL_SIZE before Node.js starts its thread pool.  If you
+// set UV_THREADPOOL_SIZE too late, the value is ignored and the default size
+// of 4 is used.
+//
+// On Windows you must set the UV_THREADPOOL_SIZE environment variable
+// externally before running your application.
+//
+// Increasing UV_THREADPOOL_SIZE is not needed if you use Thin mode.
+//
+// process.env.UV_THREADPOOL_SIZE = 10; // set threadpool size to 10 for 10 connections
+
+const oracledb = require('oracledb');
+const dbConfig = require('../dbconfig.js');
+const modelsql = require('./modelsql.js');
+const { logger } = require('../logger.js');
+
+// Module name the sessions show in V$SESSION
+const APP_MODULE = 'mnist-node-oracle';
+
+// Model name -> {spec, statements}, default model first
+const models = new Map();
+
+// Milliseconds a database call may take, 0 for no limit
+let callTimeout = 0;
+
+// Runs in node-oracledb Thin mode unless the db.driverMode setting is
+// "thick"
+function initDriver(db) {
+  if (db.driverMode === 'thick') {
+
+    // Thick mode requires Oracle Client or Oracle Instant Client libraries.
+    // On Windows and macOS Intel you can specify the directory containing the
+    // libraries at runtime or before Node.js starts.  On other platforms (where
+    // Oracle libraries are available) the system library search path must always
+    // include the Oracle library path before Node.js starts.  If the search path
+    // is not correct, you will get a DPI-1047 error.  See the node-oracledb
+    // installation documentation.
+    let clientOpts = {};
+    // On Windows and macOS Intel platforms, set db.libDir (the environment
+    // variable NODE_ORACLEDB_CLIENT_LIB_DIR) to the Oracle Client library path
+    if (process.platform === 'win32' || (process.platform === 'darwin' && process.arch === 'x64')) {
+      clientOpts = { libDir: db.libDir };
+    }
+    oracledb.initOracleClient(clientOpts);  // enable node-oracledb Thick mode
+  }
+
+  logger.info(oracledb.thin ? 'Running in thin mode' : 'Running in thick mode');
+
+  // If additionally using Database Resident Connection Pooling (DRCP), then
+  // set a connection class with db.connectionClass
+  if (db.connectionClass) {
+    oracledb.connectionClass = db.connectionClass;
+  }
+}
+
+// Checks out a connection from the default pool.  trace {requestId, action}
+// is set as the CLIENT_IDENTIFIER and ACTION of the session, so DBAs can
+// match sessions to requests.  The sample and key stores use it too.
+async function getConnection(trace = {}) {
+  const connection = await oracledb.getConnection();
+  connection.module = APP_MODULE;
+  connection.action = trace.action || '';
+  connection.clientId = trace.requestId || '';
+  if (callTimeout) {
+    connection.callTimeout = callTimeout;
+  }
+  return connection;
+}
+
+// Runs work(connection) on a pooled connection and logs how long the
+// checkout and the queries took.  end(connection) runs before the connection
+// goes back to the pool.
+async function withConnection(trace, work, end) {
+  const start = Date.now();
+  let connection;
+  try {
+    connection = await getConnection(trace);
+    const checkoutMs = Date.now() - start;
+    const result = await work(connection);
+    logger.info('query', {
+      requestId: trace.requestId,
+      action: trace.action,
+      checkoutMs: checkoutMs,
+      executeMs: Date.now() - start - checkoutMs
+    });
+    return result;
+  } finally {
+    if (connection) {
+      try {
+        if (end) {
+          await end(connection);
+        }
+        // Release the connection back to the connection pool
+        await connection.close();
+      } catch (err) {
+        logger.error('Cannot release connection', err);
+      }
+    }
+  }
+}
+
+// Creates the default connection pool, then checks the models and builds
+// their statements.  config holds the db and model settings of config.js.
+async function init(config) {
+  initDriver(config.db);
+  callTimeout = config.db.callTimeout;
+  const defaultSpec = modelsql.readModelSpec(config.model);
+  const listed = modelsql.readModelSpecs(config.model);
+  await oracledb.createPool({
+    user: dbConfig.user,
+    password: dbConfig.password,
+    connectString: dbConfig.connectString,
+    poolMin: config.db.poolMin,
+    poolMax: config.db.poolMax,
+    poolIncrement: config.db.poolIncrement,
+    poolTimeout: config.db.poolTimeout,
+    queueTimeout: config.db.queueTimeout,
+    enableStatistics: true,
+  });
+
+  let connection;
+  try {
+    connection = await getConnection({ action: 'init' });
+    // The default model and the listed ones must match, discovered models
+    // that do not are skipped
+    const specs = [defaultSpec].concat(listed ||
+      await modelsql.discoverModels(connection, defaultSpec));
+    for (const spec of specs) {
+      if (models.has(spec.name)) {
+        continue;
+      }
+      if (listed || spec === defaultSpec) {
+        await modelsql.checkModelAttributes(connection, spec);
+      }
+      models.set(spec.name, {
+        spec: spec,
+        statements: modelsql.buildStatements(spec)
+      });
+      logger.info("Using model " + spec.name, { model: spec.name,
+        width: spec.width, height: spec.height });
+    }
+  } finally {
+    if (connection) {
+      await connection.close();
+    }
+  }
+
+  module.exports.models = Array.from(models.values(), (model) => ({
+    name: model.spec.name,
+    width: model.spec.width,
+    height: model.spec.height
+  }));
+  module.exports.modelName = defaultSpec.name;
+  module.exports.width = defaultSpec.width;
+  module.exports.height = defaultSpec.height;
+}
+
+// Checks that the database answers and still has every model served
+async function ping(trace = {}) {
+  await withConnection(Object.assign({ action: 'ping' }, trace),
+    async (connection) => {
+      await connection.execute('SELECT 1 FROM dual');
+      const result = await connection.execute(
+        'SELECT model_name FROM user_mining_models');
+      const found = new Set(result.rows.map((row) => row[0]));
+      const missing = Array.from(models.keys()).filter((name) =>
+        !found.has(name));
+      if (missing.length > 0) {
+        throw new Error('Model ' + missing.join(', ') + ' is not in ' +
+          'USER_MINING_MODELS any more');
+      }
+    });
+}
+
+// Returns the statistics of the connection pool
+function poolStatistics() {
+  return oracledb.getPool().getStatistics();
+}
+
+// Returns the statements of a model, the default model when name is not given
+function getStatements(name) {
+  const model = models.get(name || module.exports.modelName);
+  if (!model) {
+    throw new Error('Unknown model ' + name);
+  }
+  return model.statements;
+}
+
+// Get the pool from the pool cache and close it when no connections are in
+// use, or force it closed after 10 seconds.
+// If this hangs, you may need DISABLE_OOB=ON in a sqlnet.ora file.
+// This setting should not be needed if both Oracle Client and Oracle
+// Database are 19c (or later).
+async function close() {
+  await oracledb.getPool().close(10);
+  logger.info("Pool closed");
+}
+
+// Runs the prediction query for one image.  Resolves to {value, classes}:
+// the model value and, when topK is given, the topK most probable classes
+// from PREDICTION_SET as [{label, probability}], most probable first.
+async function predict(pixels, topK, model, trace = {}) {
+  const statements = getStatements(model);
+  return withConnection(Object.assign({ action: 'predict' }, trace),
+    async (connection) => {
+      await connection.execute(
+        `BEGIN
+          DBMS_OUTPUT.ENABLE(NULL);
+        END;`);
+
+      // Send predictor query to ORACLE server
+      const result = await connection.execute(
+        statements.predict,
+        pixels);
+      logger.debug('Result from db', { requestId: trace.requestId,
+        rows: result.rows });
+
+      let classes = [];
+      if (topK) {
+        const set = await connection.execute(
+          statements.predictSet,
+          [topK].concat(pixels));
+        classes = set.rows.map((row) => ({ label: row[0], probability: row[1] }));
+      }
+      return { value: result.rows[0][0], classes: classes };
+    });
+}
+
+// Fills the batch table with the images, in input order with IDs 0..n-1,
+// and calls query(connection, statements) on the same transaction
+async function withBatchTable(images, model, trace, query) {
+  const statements = getStatements(model);
+  return withConnection(Object.assign({ action: 'predict batch' }, trace),
+    async (connection) => {
+      const binds = images.map((pixels, i) => [i].concat(pixels));
+      await connection.executeMany(statements.batchInsert, binds, {
+        bindDefs: statements.batchColumns.map(() =>
+          ({ type: oracledb.NUMBER }))
+      });
+      logger.debug('Sending batch query', { requestId: trace.requestId,
+        images: images.length });
+      return query(connection, statements);
+    },
+    // The table rows only live until the end of the transaction
+    (connection) => connection.rollback());
+}
+
+// Scores many images in one round trip: the images are inserted into the
+// batch table with executeMany and predicted with one query.  Returns the
+// model values in the same order as the images.
+async function predictBatch(images, model, trace = {}) {
+  return withBatchTable(images, model, trace,
+    async (connection, statements) => {
+      const result = await connection.execute(statements.batchPredict);
+      return result.rows.map((row) => row[1]);
+    });
+}
+
+// Like predictBatch, with the topK most probable classes of each image from
+// one PREDICTION_SET query
+async function predictMany(images, topK, model, trace = {}) {
+  return withBatchTable(images, model, trace,
+    async (connection, statements) => {
+      const result = await connection.execute(statements.batchPredict);
+      const predictions = result.rows.map((row) =>
+        ({ value: row[1], classes: [] }));
+      if (topK) {
+        const set = await connection.execute(statements.batchPredictSet,
+          [topK]);
+        for (const row of set.rows) {
+          predictions[row[0]].classes.push({ label: row[1],
+            probability: row[2] });
+        }
+      }
+      return predictions;
+    });
+}
+
+module.exports = {
+  name: 'oracle',
+  models: [],
+  modelName: undefined,
+  width: undefined,
+  height: undefined,
+  init,
+  close,
+  getConnection,
+  ping,
+  poolStatistics,
+  predict,
+  predictBatch,
+  predictMany,
+};
@@ -0,0 +1,474 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   benchmark.js
+ *
+ * DESCRIPTION
+ *   Load generator for a running server.  Replays digits against one route
+ *   after another, either with a fixed number of requests in flight or at a
+ *   fixed rate, and reports per route the throughput, the p50/p95/p99
+ *   latencies, the errors and the timeouts.  With --pool it also scrapes
+ *   /metrics during the run for the connection pool and queue gauges.
+ *
+ *     node src/benchmark.js --url http://localhost:7000 --routes legacy,predict
+ *
+ *   Options:
+ *     --url URL          server to load (default http://localhost:7000)
+ *     --routes LIST      comma separated routes: legacy (GET /0,0,...),
+ *                        predict, batch, image (default legacy,predict)
+ *     --duration N       seconds per route (default 10)
+ *     --concurrency N    requests in flight at once (default 8)
+ *     --rate N           send N requests a second instead, whatever the
+ *                        answers take
+ *     --timeout N        ms before a request counts as timed out
+ *                        (default 10000)
+ *     --batch-size N     images per request of the batch route (default 16)
+ *     --fixtures FILE    digits of a test script (default test_back_MNIST.sh)
+ *     --images FILE      IDX images file (.gz is fine)
+ *     --labels FILE      IDX labels file (.gz is fine)
+ *     --csv FILE         CSV file of label,pixel,... instead of IDX files
+ *     --limit N          only replay the first N digits
+ *     --model NAME       model to predict with (not on the legacy route)
+ *     --api-key KEY      API key, see auth.js
+ *     --cached           send the digits unchanged, so the prediction cache
+ *                        answers the repeats
+ *     --pool             sample the pool and queue gauges of /metrics
+ *     --sample-ms N      ms between samples of --pool (default 1000)
+ *     --label TEXT       name of the run in the report, such as "thin pool 4"
+ *     --json FILE        write the report as JSON
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { loadDataset } = require('./dataset.js');
+const { parseArgs, pad, percent } = require('./tools.js');
+
+const OPTIONS = {
+  url: 'string',
+  routes: 'string',
+  duration: 'number',
+  concurrency: 'number',
+  rate: 'number',
+  timeout: 'number',
+  'batch-size': 'number',
+  fixtures: 'string',
+  images: 'string',
+  labels: 'string',
+  csv: 'string',
+  limit: 'number',
+  model: 'string',
+  'api-key': 'string',
+  cached: 'flag',
+  pool: 'flag',
+  'sample-ms': 'number',
+  label: 'string',
+  json: 'string',
+};
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'test_back_MNIST.sh');
+
+// Most requests in flight with --rate.  Requests due beyond it are skipped
+// and counted, so a stalled server cannot exhaust the memory.
+const MAX_IN_FLIGHT = 1000;
+
+// The gauges sampled from /metrics with --pool
+const POOL_GAUGES = [
+  'mnist_db_pool_connections_open',
+  'mnist_db_pool_connections_in_use',
+  'mnist_db_pool_queue_length',
+  'mnist_queue_length',
+];
+
+// Returns a digit as a PNG, for the image route
+function toPng(pixels, shape) {
+  const png = new PNG({ width: shape.width, height: shape.height });
+  pixels.forEach((value, i) => {
+    png.data[4 * i] = png.data[4 * i + 1] = png.data[4 * i + 2] = value;
+    png.data[4 * i + 3] = 255;
+  });
+  return PNG.sync.write(png);
+}
+
+// Builds the requests of the routes.  Each route's next(n) returns the nth
+// request {method, path, headers, body, predictions}.  Unless cached is
+// set, n is written into the first pixels of the top row, which are blank
+// in digits, so no request repeats and the prediction cache stays out of
+// the measurement.
+function routeRequests(name, dataset, args) {
+  const images = dataset.images;
+  const vary = (pixels, n) => {
+    if (args.cached) {
+      return pixels;
+    }
+    const varied = pixels.slice();
+    varied[0] = n % 256;
+    varied[1] = Math.floor(n / 256) % 256;
+    varied[2] = Math.floor(n / 65536) % 256;
+    return varied;
+  };
+  const json = (apiPath, body, predictions) => ({
+    method: 'POST',
+    path: apiPath,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    predictions: predictions
+  });
+  // store=false keeps the requests out of the server's samples
+  const query = '?store=false' + (args.model ? '&model=' +
+    encodeURIComponent(args.model) : '');
+  const routes = {
+    legacy: (n) => ({
+      method: 'GET',
+      path: '/' + vary(images[n % images.length], n).join(',') +
+        '?store=false',
+      headers: {},
+      predictions: 1
+    }),
+    predict: (n) => json('/api/predict', { pixels: vary(images[n %
+      images.length], n), topK: 0, model: args.model, store: false }, 1),
+    batch: (n) => {
+      const batch = [];
+      for (let i = 0; i < args['batch-size']; i++) {
+        const index = n * args['batch-size'] + i;
+        batch.push(vary(images[index % images.length], index));
+      }
+      return json('/api/predict/batch?store=false',
+        { images: batch, model: args.model }, batch.length);
+    },
+    image: (n) => ({
+      method: 'POST',
+      path: '/api/predict/image' + query,
+      headers: { 'Content-Type': 'image/png' },
+      body: toPng(vary(images[n % images.length], n), dataset),
+      predictions: 1
+    }),
+  };
+  if (!routes[name]) {
+    throw new Error('Unknown route ' + name + ', choose from ' +
+      Object.keys(routes).join(', '));
+  }
+  return { name: name, next: routes[name] };
+}
+
+// Sends one request.  Resolves to {status, ms}, or {error, ms} when it
+// failed or took longer than timeout ms ("timeout").
+function send(client, base, agent, item, args) {
+  return new Promise((resolve) => {
+    const begin = process.hrtime.bigint();
+    const ms = () => Number(process.hrtime.bigint() - begin) / 1e6;
+    const headers = Object.assign({}, item.headers);
+    if (item.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(item.body);
+    }
+    if (args['api-key']) {
+      headers['Authorization'] = 'Bearer ' + args['api-key'];
+    }
+    let timedOut = false;
+    const request = client.request(new URL(item.path, base), {
+      method: item.method,
+      headers: headers,
+      agent: agent
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve({ status: response.statusCode,
+        ms: ms() }));
+    });
+    request.setTimeout(args.timeout, () => {
+      timedOut = true;
+      request.destroy();
+    });
+    request.on('error', (err) => resolve({
+      error: timedOut ? 'timeout' : err.code || err.message, ms: ms() }));
+    request.end(item.body);
+  });
+}
+
+// Returns the value at share (0-1) of sorted values
+function percentile(sorted, share) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1,
+    Math.ceil(share * sorted.length) - 1)];
+}
+
+// Reads the POOL_GAUGES from the /metrics text of the server
+async function samplePool(client, base, agent, apiKey) {
+  return new Promise((resolve) => {
+    const headers = apiKey ? { 'Authorization': 'Bearer ' + apiKey } : {};
+    const request = client.get(new URL('/metrics', base),
+      { agent: agent, headers: headers },
+      (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => {
+          const sample = {};
+          for (const line of Buffer.concat(chunks).toString().split('\n')) {
+            const [name, value] = line.split(' ');
+            if (POOL_GAUGES.includes(name)) {
+              sample[name] = Number(value);
+            }
+          }
+          resolve(sample);
+        });
+      });
+    request.on('error', () => resolve({}));
+  });
+}
+
+// Returns {max, mean} of every gauge over the samples
+function summarizePool(samples) {
+  const gauges = {};
+  for (const name of POOL_GAUGES) {
+    const values = samples.map((s) => s[name])
+      .filter((v) => v !== undefined);
+    if (values.length > 0) {
+      gauges[name] = {
+        max: Math.max(...values),
+        mean: values.reduce((a, b) => a + b, 0) / values.length
+      };
+    }
+  }
+  return gauges;
+}
+
+// Loads one route for the duration and returns its results
+async function runRoute(route, client, base, args) {
+  const agent = new client.Agent({ keepAlive: true });
+  const results = [];
+  let sent = 0;
+  let skipped = 0;
+  let inFlight = 0;
+  const start = Date.now();
+  const end = start + args.duration * 1000;
+  const fire = async () => {
+    const item = route.next(sent++);
+    inFlight++;
+    const result = await send(client, base, agent, item, args);
+    inFlight--;
+    result.predictions = item.predictions;
+    results.push(result);
+  };
+
+  const samples = [];
+  let sampler;
+  if (args.pool) {
+    sampler = setInterval(async () => {
+      samples.push(await samplePool(client, base, agent, args['api-key']));
+    }, args['sample-ms']);
+  }
+
+  if (args.rate) {
+    const pending = [];
+    const interval = 1000 / args.rate;
+    for (let due = start; due < end; due += interval) {
+      const wait = due - Date.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      if (inFlight >= MAX_IN_FLIGHT) {
+        skipped++;
+        continue;
+      }
+      pending.push(fire());
+    }
+    await Promise.all(pending);
+  } else {
+    const worker = async () => {
+      while (Date.now() < end) {
+        await fire();
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < args.concurrency; i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  }
+  const elapsedMs = Date.now() - start;
+  clearInterval(sampler);
+  agent.destroy();
+
+  const ok = results.filter((r) => r.status === 200);
+  const latencies = ok.map((r) => r.ms).sort((a, b) => a - b);
+  const errors = {};
+  for (const r of results) {
+    if (r.status !== 200) {
+      const key = r.error || String(r.status);
+      errors[key] = (errors[key] || 0) + 1;
+    }
+  }
+  return {
+    route: route.name,
+    elapsedMs: elapsedMs,
+    requests: results.length,
+    ok: ok.length,
+    skipped: skipped,
+    timeouts: errors.timeout || 0,
+    errorRate: results.length ? 1 - ok.length / results.length : 0,
+    errors: errors,
+    requestsPerSecond: ok.length / (elapsedMs / 1000),
+    predictionsPerSecond: ok.reduce((n, r) => n + r.predictions, 0) /
+      (elapsedMs / 1000),
+    latencyMs: {
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95),
+      p99: percentile(latencies, 0.99),
+      max: latencies.length ? latencies[latencies.length - 1] : null
+    },
+    pool: args.pool ? summarizePool(samples) : undefined
+  };
+}
+
+function ms(value) {
+  return value === null ? '-' : value.toFixed(1);
+}
+
+// Prints the report as text tables
+function printReport(report) {
+  console.log('');
+  if (report.label) {
+    console.log('Run:       ' + report.label);
+  }
+  console.log('Server:    ' + report.url + (report.backend ?
+    ' (' + report.backend + ' backend)' : ''));
+  console.log('Load:      ' + (report.rate ? report.rate + ' requests/s' :
+    report.concurrency + ' in flight') + ', ' + report.duration +
+    ' s per route' + (report.cached ? ', cached' : ''));
+
+  console.log('');
+  console.log('route      requests     req/s    pred/s   errors  timeouts' +
+    '     p50     p95     p99     max');
+  for (const r of report.routes) {
+    console.log(r.route.padEnd(8) + pad(r.requests, 10) +
+      pad(r.requestsPerSecond.toFixed(1), 10) +
+      pad(r.predictionsPerSecond.toFixed(1), 10) +
+      pad(percent(r.errorRate), 9) + pad(r.timeouts, 10) +
+      pad(ms(r.latencyMs.p50), 8) + pad(ms(r.latencyMs.p95), 8) +
+      pad(ms(r.latencyMs.p99), 8) + pad(ms(r.latencyMs.max), 8));
+  }
+  console.log('(latencies in ms, of the answered requests)');
+
+  for (const r of report.routes) {
+    const failures = Object.entries(r.errors)
+      .map(([key, n]) => key + ' x' + n);
+    if (r.skipped) {
+      failures.push(r.skipped + ' not sent, ' + MAX_IN_FLIGHT +
+        ' already in flight');
+    }
+    if (failures.length > 0) {
+      console.log(r.route + ' errors: ' + failures.join(', '));
+    }
+  }
+
+  if (report.pool) {
+    console.log('');
+    console.log('Pool and queue during each route (max / mean)');
+    for (const r of report.routes) {
+      const gauges = Object.entries(r.pool);
+      console.log(r.route + ':' + (gauges.length === 0 ? ' no pool' : ''));
+      for (const [name, g] of gauges) {
+        console.log('  ' + name.padEnd(34) + pad(g.max, 6) + ' / ' +
+          g.mean.toFixed(1));
+      }
+    }
+  }
+}
+
+// Asks /readyz which backend the server runs
+async function readBackend(client, base) {
+  return new Promise((resolve, reject) => {
+    client.get(new URL('/readyz', base), (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString()).backend);
+        } catch (err) {
+          resolve(undefined);
+        }
+      });
+    }).on('error', (err) => {
+      reject(new Error('Cannot reach ' + base + ': ' + err.message));
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), OPTIONS, {
+    url: 'http://localhost:7000',
+    routes: 'legacy,predict',
+    duration: 10,
+    concurrency: 8,
+    timeout: 10000,
+    'batch-size': 16,
+    'sample-ms': 1000
+  });
+  if (!args.csv && !args.images && !args.labels && !args.fixtures) {
+    args.fixtures = DEFAULT_FIXTURES;
+  }
+  const dataset = loadDataset(args, args.limit);
+  const routes = args.routes.split(',')
+    .map((name) => routeRequests(name.trim(), dataset, args));
+  const base = new URL(args.url);
+  const client = base.protocol === 'https:' ? https : http;
+  console.log('Loaded ' + dataset.images.length + ' digits (' +
+    dataset.width + 'x' + dataset.height + ')');
+
+  const report = {
+    label: args.label,
+    url: args.url,
+    backend: await readBackend(client, base),
+    model: args.model,
+    date: new Date().toISOString(),
+    duration: args.duration,
+    concurrency: args.rate ? undefined : args.concurrency,
+    rate: args.rate,
+    cached: Boolean(args.cached),
+    pool: Boolean(args.pool),
+    routes: []
+  };
+  for (const route of routes) {
+    console.error('... ' + route.name);
+    report.routes.push(await runRoute(route, client, base, args));
+  }
+  printReport(report);
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + '\n');
+    console.log('Wrote ' + args.json);
+  }
+}
+
+main().catch((err) => {
+  console.error('benchmark: ' + err.message);
+  process.exit(1);
+});
@@ -0,0 +1,213 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   cache.js
+ *
+ * DESCRIPTION
+ *   Remembers predictions so the same image sent again (the canvas page fires
+ *   on mouseup, touchend and the Predict button, and test runs repeat) does
+ *   not go back to the database.
+ *
+ *   Entries are keyed by a hash of the model, the number of classes asked
+ *   for and the pixels rounded to integers.  They live in an LRU list in the
+ *   process and, when cache.dir is set, in one file per entry in that
+ *   directory, which every server process on the machine shares.  The
+ *   directory is swept every SWEEP_INTERVAL_MS: expired files go, and so do
+ *   the oldest ones past cache.size.
+ *
+ *   The size, time to live and directory are the cache.* settings of
+ *   config.js.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger.js');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Returns the cache key of a prediction
+function cacheKey(model, topK, pixels) {
+  return crypto.createHash('sha256')
+    .update(model + '\n' + (topK || 0) + '\n')
+    .update(pixels.map((value) => Math.round(Number(value))).join(','))
+    .digest('hex');
+}
+
+// Entries kept in one file each under dir, written to a temporary file and
+// renamed so other processes never read half an entry.  At most size files
+// are kept (no limit when size is 0), none older than ttl seconds.
+function createFileStore(dir, size, ttl) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Removes the expired files, the oldest ones past size and the temporary
+  // files a crashed process left.  Every process sharing dir sweeps it, so
+  // a file may be gone before it is removed.
+  async function sweep() {
+    const now = Date.now();
+    const files = [];
+    for (const name of await fs.promises.readdir(dir)) {
+      const file = path.join(dir, name);
+      let stats;
+      try {
+        stats = await fs.promises.stat(file);
+      } catch (err) {
+        continue;
+      }
+      const age = now - stats.mtimeMs;
+      if (name.endsWith('.tmp') ? age > SWEEP_INTERVAL_MS :
+        ttl > 0 && age > ttl * 1000) {
+        await fs.promises.unlink(file).catch(() => {});
+      } else if (name.endsWith('.json')) {
+        files.push({ file: file, time: stats.mtimeMs });
+      }
+    }
+    if (size > 0 && files.length > size) {
+      files.sort((a, b) => a.time - b.time);
+      for (const old of files.slice(0, files.length - size)) {
+        await fs.promises.unlink(old.file).catch(() => {});
+      }
+    }
+  }
+
+  setInterval(() => {
+    sweep().catch((err) => logger.error("cache sweep() error", err));
+  }, SWEEP_INTERVAL_MS).unref();
+
+  async function get(key) {
+    const file = path.join(dir, key + '.json');
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error("cache get() error", err);
+      }
+    }
+  }
+
+  async function set(key, entry) {
+    const file = path.join(dir, key + '.json');
+    const tmp = file + '.' + process.pid + '.tmp';
+    try {
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      logger.error("cache set() error", err);
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(path.join(dir, key + '.json'));
+    } catch (err) {
+      // another process removed it first
+    }
+  }
+
+  return { get, set, remove, sweep };
+}
+
+// Returns a cache of at most size entries that expire after ttl seconds,
+// shared through dir when it is given
+function createCache(size, ttl, dir) {
+  // A Map iterates in insertion order, so re-inserting on every hit keeps
+  // the least recently used entry first
+  const entries = new Map();
+  const shared = dir ? createFileStore(dir, size, ttl) : null;
+  const counters = { hits: 0, misses: 0 };
+
+  function isFresh(entry) {
+    return entry.expires === 0 || entry.expires > Date.now();
+  }
+
+  function remember(key, entry) {
+    if (size === 0) {
+      return;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > size) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Returns the cached value, or undefined
+  async function get(key) {
+    let entry = entries.get(key);
+    if (entry && !isFresh(entry)) {
+      entries.delete(key);
+      entry = undefined;
+    }
+    if (!entry && shared) {
+      entry = await shared.get(key);
+      if (entry && !isFresh(entry)) {
+        shared.remove(key);
+        entry = undefined;
+      }
+    }
+    if (!entry) {
+      counters.misses++;
+      return undefined;
+    }
+    counters.hits++;
+    remember(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value) {
+    const entry = { expires: ttl ? Date.now() + ttl * 1000 : 0, value: value };
+    remember(key, entry);
+    if (shared) {
+      await shared.set(key, entry);
+    }
+  }
+
+  function stats() {
+    return {
+      size: entries.size,
+      maxSize: size,
+      ttl: ttl,
+      shared: dir || null,
+      hits: counters.hits,
+      misses: counters.misses
+    };
+  }
+
+  return { get, set, stats };
+}
+
+// Returns the cache described by the cache settings {size, ttl, dir}
+function getPredictionCache(settings) {
+  return createCache(settings.size, settings.ttl, settings.dir || null);
+}
+
+module.exports = {
+  cacheKey,
+  createCache,
+  getPredictionCache,
+};
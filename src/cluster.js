@@ -0,0 +1,201 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   cluster.js
+ *
+ * DESCRIPTION
+ *   Supervisor of the server.workers setting.  The first process forks the
+ *   workers, which share its port, each with its own backend and pool, and
+ *   starts another worker when one dies.
+ *
+ *   SIGTERM and SIGINT pass SIGTERM on to the workers, which finish the
+ *   requests in flight before closing their pools (see drainAndExit() in
+ *   webapp.js).  SIGHUP reads the settings again and replaces the workers
+ *   one by one: a new worker takes requests before an old one drains, so
+ *   none are dropped.  New workers load the models and the settings file
+ *   again.  If a new worker cannot start, the old ones keep running.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const cluster = require('cluster');
+const { ConfigError, loadConfig } = require('./config.js');
+const { logger } = require('./logger.js');
+
+// Wait before replacing a worker that died, so a worker that cannot start
+// does not spin
+const RESTART_DELAY_MS = 5000;
+// Time a draining worker gets past server.drainTimeout to close its pool
+// before it is killed
+const KILL_GRACE_MS = 15000;
+
+// Runs the workers of config until SIGTERM or SIGINT
+function superviseWorkers(config) {
+  let count = config.server.workers;
+  let drainTimeout = config.server.drainTimeout;
+  let stopping = false;
+  let reloading = false;
+  // workers that listened, and so are started again when they die
+  const started = new WeakSet();
+  // workers told to stop
+  const retiring = new WeakSet();
+
+  // Forks a worker.  Resolves when it listens, rejects when it exits first.
+  function fork() {
+    return new Promise((resolve, reject) => {
+      const worker = cluster.fork();
+      const failed = (code, signal) => reject(new Error('Worker ' +
+        worker.process.pid + ' exited with ' + (signal || code) +
+        ' before it listened'));
+      worker.once('exit', failed);
+      worker.once('listening', () => {
+        worker.off('exit', failed);
+        started.add(worker);
+        resolve(worker);
+      });
+    });
+  }
+
+  // Asks a worker to drain and exit, and kills it if it takes too long
+  function stop(worker) {
+    retiring.add(worker);
+    return new Promise((resolve) => {
+      if (worker.isDead()) {
+        return resolve();
+      }
+      const timer = setTimeout(() => {
+        logger.warn('Worker did not stop, killing it',
+          { pid: worker.process.pid });
+        worker.process.kill('SIGKILL');
+      }, drainTimeout + KILL_GRACE_MS);
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      worker.process.kill('SIGTERM');
+    });
+  }
+
+  function workers() {
+    return Object.values(cluster.workers);
+  }
+
+  // Starts a worker in place of one that died, until one starts
+  function replace() {
+    if (stopping) {
+      return;
+    }
+    fork().catch((err) => {
+      logger.error('Cannot start a worker', err);
+      setTimeout(replace, RESTART_DELAY_MS);
+    });
+  }
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (stopping || retiring.has(worker) || !started.has(worker)) {
+      return;
+    }
+    logger.warn('Worker died, starting another in ' + RESTART_DELAY_MS +
+      ' ms', { pid: worker.process.pid, code: code, signal: signal });
+    setTimeout(replace, RESTART_DELAY_MS);
+  });
+
+  async function start() {
+    try {
+      const forks = [];
+      for (let i = 0; i < count; i++) {
+        forks.push(fork());
+      }
+      await Promise.all(forks);
+      logger.info('Workers ready', { workers: count,
+        pids: workers().map((w) => w.process.pid) });
+    } catch (err) {
+      logger.error('Cannot start the workers', err);
+      stopping = true;
+      await Promise.all(workers().map(stop));
+      process.exit(1);
+    }
+  }
+
+  // Replaces the workers one by one with workers of the new settings
+  async function reload() {
+    if (stopping || reloading) {
+      logger.warn('Already ' + (stopping ? 'stopping' : 'reloading') +
+        ', SIGHUP ignored');
+      return;
+    }
+    reloading = true;
+    try {
+      const next = loadConfig();
+      const old = workers();
+      const target = next.server.workers || count;
+      drainTimeout = next.server.drainTimeout;
+      logger.info('Reloading the workers', { workers: target });
+      for (let i = 0; i < Math.max(old.length, target); i++) {
+        if (i < target) {
+          await fork();
+        }
+        if (i < old.length) {
+          await stop(old[i]);
+        }
+      }
+      count = target;
+      logger.info('Workers reloaded', { workers: count,
+        pids: workers().map((w) => w.process.pid) });
+    } catch (err) {
+      if (err instanceof ConfigError) {
+        logger.error('Invalid configuration, the workers keep running',
+          { problems: err.problems });
+      } else {
+        logger.error('Reload failed, the other workers keep running', err);
+      }
+    } finally {
+      reloading = false;
+    }
+  }
+
+  async function shutdown(signal) {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    logger.info('Stopping the workers', { signal: signal,
+      workers: workers().length });
+    await Promise.all(workers().map(stop));
+    logger.info('Workers stopped');
+    process.exit(0);
+  }
+
+  process
+    .on('SIGTERM', shutdown)
+    .on('SIGINT', shutdown)
+    .on('SIGHUP', reload);
+  return start();
+}
+
+module.exports = {
+  superviseWorkers,
+};
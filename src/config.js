@@ -0,0 +1,391 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   config.js
+ *
+ * DESCRIPTION
+ *   Server settings.  Each setting comes from, in increasing priority:
+ *
+ *     1. its default value
+ *     2. the config file, JSON or YAML, named by --config or MNIST_CONFIG
+ *     3. its environment variable
+ *     4. its command line flag
+ *
+ *   Every value is checked at startup and all the problems are reported
+ *   together in a ConfigError, so a bad setting stops the server instead of
+ *   failing later on a request.  Run "node src/webapp.js --help" for the
+ *   list.
+ *
+ *   The database credentials stay in dbconfig.js.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Invalid settings, with one line per problem
+class ConfigError extends Error {
+  constructor(problems) {
+    super('Invalid configuration:\n  ' + problems.join('\n  '));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// key in the config file -> {env, flag, type, default, help}.  Types are
+// "string", "int" (with min and max), "bool" and "enum" (with values).
+const SETTINGS = {
+  'server.host': { env: 'MNIST_HOST', flag: 'host', type: 'string',
+    default: '0.0.0.0', help: 'address the HTTP server listens on' },
+  'server.port': { env: 'MNIST_PORT', flag: 'port', type: 'int', min: 0,
+    max: 65535, default: 7000, help: 'HTTP port' },
+  'server.workers': { env: 'MNIST_WORKERS', flag: 'workers', type: 'int',
+    min: 0, max: 256, default: 0,
+    help: 'worker processes, each with its own pool, 0 to serve from ' +
+      'this process' },
+  'server.drainTimeout': { env: 'MNIST_DRAIN_TIMEOUT', flag: 'drain-timeout',
+    type: 'int', min: 0, default: 30000,
+    help: 'ms the requests in flight get to finish on shutdown' },
+  'server.trustProxy': { env: 'MNIST_TRUST_PROXY', flag: 'trust-proxy',
+    type: 'int', min: 0, max: 16, default: 0,
+    help: 'proxies in front of the server whose X-Forwarded-For is ' +
+      'trusted for the client address, 0 for none' },
+  'server.corsOrigins': { env: 'MNIST_CORS_ORIGINS', flag: 'cors-origins',
+    type: 'string', help: 'comma separated origins of other sites allowed ' +
+      'to call the API, * for any' },
+  'backend': { env: 'MNIST_BACKEND', flag: 'backend', type: 'enum',
+    values: ['oracle', 'local'], default: 'oracle',
+    help: 'prediction backend' },
+
+  'db.driverMode': { env: 'NODE_ORACLEDB_DRIVER_MODE', flag: 'driver-mode',
+    type: 'enum', values: ['thin', 'thick'], default: 'thin',
+    help: 'node-oracledb mode, thick needs the Oracle Client libraries' },
+  'db.libDir': { env: 'NODE_ORACLEDB_CLIENT_LIB_DIR', flag: 'lib-dir',
+    type: 'string', help: 'Oracle Client library directory (thick mode)' },
+  'db.poolMin': { env: 'NODE_ORACLEDB_POOL_MIN', flag: 'pool-min',
+    type: 'int', min: 0, default: 0, help: 'connections kept open' },
+  'db.poolMax': { env: 'NODE_ORACLEDB_POOL_MAX', flag: 'pool-max',
+    type: 'int', min: 1, default: 4, help: 'most connections open' },
+  'db.poolIncrement': { env: 'NODE_ORACLEDB_POOL_INCREMENT',
+    flag: 'pool-increment', type: 'int', min: 0, default: 1,
+    help: 'connections opened at a time when the pool grows' },
+  'db.poolTimeout': { env: 'NODE_ORACLEDB_POOL_TIMEOUT',
+    flag: 'pool-timeout', type: 'int', min: 0, default: 60,
+    help: 'seconds an idle connection above poolMin stays open' },
+  'db.queueTimeout': { env: 'NODE_ORACLEDB_QUEUE_TIMEOUT',
+    flag: 'queue-timeout', type: 'int', min: 0, default: 60000,
+    help: 'ms to wait for a free connection, 0 for ever' },
+  'db.callTimeout': { env: 'NODE_ORACLEDB_CALL_TIMEOUT',
+    flag: 'call-timeout', type: 'int', min: 0, default: 0,
+    help: 'ms a database call may take, 0 for no limit' },
+  'db.connectionClass': { env: 'NODE_ORACLEDB_CONNECTION_CLASS',
+    flag: 'connection-class', type: 'string',
+    help: 'connection class for DRCP' },
+
+  'model.name': { env: 'MNIST_MODEL_NAME', flag: 'model', type: 'string',
+    help: 'default in-database model' },
+  'model.width': { env: 'MNIST_IMAGE_WIDTH', flag: 'image-width',
+    type: 'int', min: 1, help: 'image width of the default model' },
+  'model.height': { env: 'MNIST_IMAGE_HEIGHT', flag: 'image-height',
+    type: 'int', min: 1, help: 'image height of the default model' },
+  'model.prefix': { env: 'MNIST_COLUMN_PREFIX', flag: 'column-prefix',
+    type: 'string', help: 'pixel column prefix of the default model' },
+  'model.batchTable': { env: 'MNIST_BATCH_TABLE', flag: 'batch-table',
+    type: 'string', help: 'table the batch predictions go through' },
+  'model.configFile': { env: 'MNIST_MODEL_CONFIG', flag: 'model-config',
+    type: 'string', help: 'JSON file describing the in-database models' },
+
+  'local.model': { env: 'MNIST_LOCAL_MODEL', flag: 'local-model',
+    type: 'string',
+    help: 'default model file of the local backend, default ' +
+      'models/local_linear.json' },
+  'local.modelDir': { env: 'MNIST_LOCAL_MODEL_DIR', flag: 'local-model-dir',
+    type: 'string', help: 'directory of the other local model files, ' +
+      'default models/' },
+
+  'samples': { env: 'MNIST_SAMPLES', flag: 'samples', type: 'enum',
+    values: ['oracle', 'memory', 'off'],
+    help: 'sample store, default oracle with the oracle backend and ' +
+      'memory otherwise' },
+
+  'cache.size': { env: 'MNIST_CACHE_SIZE', flag: 'cache-size', type: 'int',
+    min: 0, default: 1000, help: 'predictions cached in the process' },
+  'cache.ttl': { env: 'MNIST_CACHE_TTL', flag: 'cache-ttl', type: 'int',
+    min: 0, default: 3600, help: 'seconds a cached prediction is valid' },
+  'cache.dir': { env: 'MNIST_CACHE_DIR', flag: 'cache-dir', type: 'string',
+    help: 'directory of the cache shared between processes' },
+
+  'batch.windowMs': { env: 'MNIST_BATCH_WINDOW_MS', flag: 'batch-window',
+    type: 'int', min: 0, default: 5,
+    help: 'ms a prediction waits for others to batch with' },
+  'batch.maxBatch': { env: 'MNIST_BATCH_MAX', flag: 'batch-max',
+    type: 'int', min: 1, default: 64, help: 'most images in one batch' },
+  'batch.concurrency': { env: 'MNIST_BATCH_CONCURRENCY',
+    flag: 'batch-concurrency', type: 'int', min: 1, default: 4,
+    help: 'batches running at once, at most db.poolMax' },
+  'batch.maxQueue': { env: 'MNIST_QUEUE_MAX', flag: 'queue-max',
+    type: 'int', min: 0, default: 1000,
+    help: 'predictions waiting before new ones get a 503, 0 for no limit' },
+  'batch.maxWaitMs': { env: 'MNIST_QUEUE_WAIT_MS', flag: 'queue-wait',
+    type: 'int', min: 0, default: 5000,
+    help: 'ms a prediction may wait before it gets a 503, 0 for ever' },
+  'batch.retryAfter': { env: 'MNIST_RETRY_AFTER', flag: 'retry-after',
+    type: 'int', min: 0, default: 1,
+    help: 'seconds in the Retry-After header of a 503' },
+
+  'auth.keys': { env: 'MNIST_API_KEYS', flag: 'api-keys', type: 'enum',
+    values: ['off', 'file', 'oracle'], default: 'off',
+    help: 'where the API keys are kept, off lets every client in' },
+  'auth.keysFile': { env: 'MNIST_API_KEYS_FILE', flag: 'api-keys-file',
+    type: 'string', help: 'file of API key hashes, see src/apikey.js' },
+  'auth.anonymous': { env: 'MNIST_ANONYMOUS', flag: 'anonymous',
+    type: 'bool', default: true,
+    help: 'let clients without a key use the routes of the canvas page' },
+
+  'limit.rate': { env: 'MNIST_RATE_LIMIT', flag: 'rate-limit', type: 'int',
+    min: 0, default: 1200,
+    help: 'requests a minute of each API key, 0 for no limit' },
+  'limit.burst': { env: 'MNIST_RATE_BURST', flag: 'rate-burst', type: 'int',
+    min: 1, default: 200, help: 'requests an API key may send at once' },
+  'limit.anonymousRate': { env: 'MNIST_ANONYMOUS_RATE_LIMIT',
+    flag: 'anonymous-rate-limit', type: 'int', min: 0, default: 300,
+    help: 'requests a minute of each address without a key, 0 for no ' +
+      'limit' },
+  'limit.anonymousBurst': { env: 'MNIST_ANONYMOUS_RATE_BURST',
+    flag: 'anonymous-rate-burst', type: 'int', min: 1, default: 100,
+    help: 'requests an address without a key may send at once' },
+  'limit.bodyBytes': { env: 'MNIST_BODY_LIMIT', flag: 'body-limit',
+    type: 'int', min: 1, default: 32 * 1024 * 1024,
+    help: 'largest request body in bytes' },
+
+  'log.level': { env: 'MNIST_LOG_LEVEL', flag: 'log-level', type: 'enum',
+    values: ['debug', 'info', 'warn', 'error'], default: 'info',
+    help: 'lowest level logged' },
+  'log.digits': { env: 'MNIST_LOG_DIGITS', flag: 'log-digits', type: 'bool',
+    default: false, help: 'log every image as ASCII art, to debug' },
+};
+
+// Returns the value of a setting converted to its type
+function convert(spec, value) {
+  if (spec.type === 'int') {
+    const number = typeof value === 'string' && value.trim() !== '' ?
+      Number(value) : value;
+    if (!Number.isInteger(number)) {
+      throw new Error('must be an integer, got ' + JSON.stringify(value));
+    }
+    if (spec.min !== undefined && number < spec.min) {
+      throw new Error('must be at least ' + spec.min + ', got ' + number);
+    }
+    if (spec.max !== undefined && number > spec.max) {
+      throw new Error('must be at most ' + spec.max + ', got ' + number);
+    }
+    return number;
+  }
+  if (spec.type === 'bool') {
+    if (value === true || value === 'true' || value === '1') {
+      return true;
+    }
+    if (value === false || value === 'false' || value === '0') {
+      return false;
+    }
+    throw new Error('must be true or false, got ' + JSON.stringify(value));
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error('must be a string, got ' + JSON.stringify(value));
+  }
+  value = String(value);
+  if (spec.type === 'enum' && !spec.values.includes(value)) {
+    throw new Error('must be one of ' + spec.values.join(', ') + ', got "' +
+      value + '"');
+  }
+  return value;
+}
+
+// Reads the config file into {key: value} with the keys of SETTINGS
+function readFile(file, problems) {
+  let content;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    content = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (err) {
+    problems.push('cannot read config file ' + file + ': ' + err.message);
+    return {};
+  }
+  if (content === null || content === undefined) {
+    return {};
+  }
+  if (typeof content !== 'object' || Array.isArray(content)) {
+    problems.push('config file ' + file + ' must hold an object');
+    return {};
+  }
+
+  // Flatten {"server": {"port": 7000}} to {"server.port": 7000}
+  const values = {};
+  (function flatten(object, prefix) {
+    for (const [name, value] of Object.entries(object)) {
+      const key = prefix + name;
+      if (key in SETTINGS) {
+        values[key] = value;
+      } else if (value !== null && typeof value === 'object' &&
+          !Array.isArray(value)) {
+        flatten(value, key + '.');
+      } else {
+        problems.push(file + ': unknown setting "' + key + '"');
+      }
+    }
+  }(content, ''));
+  return values;
+}
+
+// Reads the command line into {config, help, values} with the keys of
+// SETTINGS.  Flags are "--name value" or "--name=value", a bool flag alone
+// means true.
+function readArgs(argv, problems) {
+  const flags = {};
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    flags[spec.flag] = key;
+  }
+  const args = { config: undefined, help: false, values: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (match && match[1] === 'help') {
+      args.help = true;
+      continue;
+    }
+    if (!match || !(match[1] === 'config' || match[1] in flags)) {
+      problems.push('unknown option ' + argv[i]);
+      continue;
+    }
+    let value = match[2];
+    const key = flags[match[1]];
+    if (value === undefined && key && SETTINGS[key].type === 'bool' &&
+        (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+      value = 'true';
+    }
+    if (value === undefined) {
+      value = argv[++i];
+    }
+    if (value === undefined) {
+      problems.push('option --' + match[1] + ' needs a value');
+    } else if (match[1] === 'config') {
+      args.config = value;
+    } else {
+      args.values[key] = value;
+    }
+  }
+  return args;
+}
+
+// Returns the settings as a nested object, e.g. config.server.port.  Throws
+// a ConfigError listing every problem.
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const problems = [];
+  const args = readArgs(argv, problems);
+  const configFile = args.config || env.MNIST_CONFIG;
+  const fileValues = configFile ? readFile(configFile, problems) : {};
+
+  const config = { file: configFile ? path.resolve(configFile) : null,
+    help: args.help };
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    let value = spec.default;
+    let source = 'default';
+    if (key in fileValues) {
+      value = fileValues[key];
+      source = configFile;
+    }
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      value = env[spec.env];
+      source = spec.env;
+    }
+    if (key in args.values) {
+      value = args.values[key];
+      source = '--' + spec.flag;
+    }
+    if (value !== undefined && value !== null) {
+      try {
+        value = convert(spec, value);
+      } catch (err) {
+        problems.push(key + ' (from ' + source + ') ' + err.message);
+      }
+    }
+    set(config, key, value === null ? undefined : value);
+  }
+
+  if (config.batch.concurrency > config.db.poolMax &&
+      config.backend === 'oracle') {
+    problems.push('batch.concurrency ' + config.batch.concurrency +
+      ' is more than db.poolMax ' + config.db.poolMax);
+  }
+  if (config.db.poolMin > config.db.poolMax) {
+    problems.push('db.poolMin ' + config.db.poolMin +
+      ' is more than db.poolMax ' + config.db.poolMax);
+  }
+  if (config.samples === 'oracle' && config.backend !== 'oracle') {
+    problems.push('samples "oracle" needs backend "oracle"');
+  }
+  if (config.auth.keys === 'oracle' && config.backend !== 'oracle') {
+    problems.push('auth.keys "oracle" needs backend "oracle"');
+  }
+  if (config.auth.keys === 'file' && !config.auth.keysFile) {
+    problems.push('auth.keys "file" needs auth.keysFile');
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+// Sets object.a.b for key "a.b"
+function set(object, key, value) {
+  const names = key.split('.');
+  const last = names.pop();
+  for (const name of names) {
+    object = object[name] = object[name] || {};
+  }
+  object[last] = value;
+}
+
+// Returns the --help text
+function usage() {
+  const lines = ['Usage: node src/webapp.js [--config file] [options]', '',
+    'Settings (config file key, environment variable, option):'];
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const values = spec.type === 'enum' ? ' ' + spec.values.join('|') : '';
+    const defaultValue = spec.default !== undefined ?
+      ' (default ' + spec.default + ')' : '';
+    lines.push('  ' + key + ', ' + spec.env + ', --' + spec.flag + values);
+    lines.push('      ' + spec.help + defaultValue);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  usage,
+};
@@ -0,0 +1,201 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   dataset.js
+ *
+ * DESCRIPTION
+ *   Reads labelled digit datasets for the command line tools:
+ *
+ *     - the MNIST IDX files, for example t10k-images-idx3-ubyte and
+ *       t10k-labels-idx1-ubyte (gzipped .gz files are read too), see
+ *       http://yann.lecun.com/exdb/mnist/
+ *     - a CSV file with the label in the first column and the pixels in the
+ *       others, one image per line, with or without a header line.
+ *     - the digits of test_back_MNIST.sh, a curl of the legacy GET /0,0,...
+ *       route after each "# expected <resultado>7</resultado>" line.
+ *
+ *   Images are returned as plain arrays of pixels 0-255.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const IDX_UBYTE = 0x08;
+
+// Reads a file, gunzipping it when its name ends with .gz
+function readFile(file) {
+  const data = fs.readFileSync(file);
+  return file.endsWith('.gz') ? zlib.gunzipSync(data) : data;
+}
+
+// Parses the header of an IDX file.  Returns {dims, offset}.
+function readIdxHeader(data, file, expectedDims) {
+  if (data.length < 4 || data[0] !== 0 || data[1] !== 0) {
+    throw new Error(file + ' is not an IDX file');
+  }
+  if (data[2] !== IDX_UBYTE) {
+    throw new Error(file + ': only unsigned byte IDX files are supported');
+  }
+  if (data[3] !== expectedDims) {
+    throw new Error(file + ' has ' + data[3] + ' dimensions, expected ' +
+      expectedDims);
+  }
+  const dims = [];
+  for (let i = 0; i < expectedDims; i++) {
+    dims.push(data.readUInt32BE(4 + 4 * i));
+  }
+  const offset = 4 + 4 * expectedDims;
+  const size = dims.reduce((a, b) => a * b, 1);
+  if (data.length < offset + size) {
+    throw new Error(file + ' is truncated');
+  }
+  return { dims: dims, offset: offset };
+}
+
+// Reads an idx3-ubyte images file.  Returns {width, height, images}.
+function readIdxImages(file, limit = Infinity) {
+  const data = readFile(file);
+  const { dims, offset } = readIdxHeader(data, file, 3);
+  const [count, height, width] = dims;
+  const size = width * height;
+  const images = [];
+  for (let i = 0; i < Math.min(count, limit); i++) {
+    const start = offset + i * size;
+    images.push(Array.from(data.subarray(start, start + size)));
+  }
+  return { width: width, height: height, images: images };
+}
+
+// Reads an idx1-ubyte labels file.  Returns an array of numbers.
+function readIdxLabels(file, limit = Infinity) {
+  const data = readFile(file);
+  const { dims, offset } = readIdxHeader(data, file, 1);
+  return Array.from(data.subarray(offset, offset + Math.min(dims[0], limit)));
+}
+
+// Reads a CSV file of label,pixel,pixel,...  Returns {width, height, images,
+// labels}.  The image is assumed square unless width is given.
+function readCsv(file, limit = Infinity, width) {
+  const lines = readFile(file).toString('utf8').split(/\r?\n/);
+  const images = [];
+  const labels = [];
+  for (const line of lines) {
+    if (images.length >= limit) {
+      break;
+    }
+    if (line.trim() === '') {
+      continue;
+    }
+    const fields = line.split(',');
+    const pixels = fields.slice(1).map(Number);
+    if (pixels.some(Number.isNaN)) {
+      if (images.length === 0) {
+        continue; // header line
+      }
+      throw new Error(file + ': line ' + (labels.length + 1) + ' has a ' +
+        'pixel that is not a number');
+    }
+    const label = fields[0].trim();
+    labels.push(label !== '' && !Number.isNaN(Number(label)) ?
+      Number(label) : label);
+    images.push(pixels);
+  }
+  if (images.length === 0) {
+    throw new Error(file + ' has no images');
+  }
+  const size = images[0].length;
+  width = width || Math.round(Math.sqrt(size));
+  if (size % width !== 0 || images.some((image) => image.length !== size)) {
+    throw new Error(file + ': every line must have the same number of ' +
+      'pixels, a multiple of the image width ' + width);
+  }
+  return { width: width, height: size / width, images: images,
+    labels: labels };
+}
+
+// Reads the 28x28 digits of a test script like test_back_MNIST.sh, each
+// labelled by the "# expected <resultado>N</resultado>" comment before it.
+// Returns {width, height, images, labels}.
+function readFixtures(file, limit = Infinity) {
+  const lines = readFile(file).toString('utf8').split(/\r?\n/);
+  const images = [];
+  const labels = [];
+  let expected = null;
+  for (const line of lines) {
+    const comment = line.match(/^#\s*expected\s*<resultado>(.*)<\/resultado>/);
+    const request = line.match(/\/((?:\d+,)+\d+)/);
+    if (comment) {
+      expected = comment[1];
+    } else if (request && expected !== null && images.length < limit) {
+      const pixels = request[1].split(',').map(Number);
+      if (pixels.length !== 28 * 28) {
+        throw new Error(file + ': the digit expected to be ' + expected +
+          ' has ' + pixels.length + ' pixels, not 784');
+      }
+      images.push(pixels);
+      labels.push(Number.isNaN(Number(expected)) ? expected :
+        Number(expected));
+      expected = null;
+    }
+  }
+  if (images.length === 0) {
+    throw new Error(file + ' has no digits');
+  }
+  return { width: 28, height: 28, images: images, labels: labels };
+}
+
+// Reads a dataset from {images, labels} IDX file names, a {csv} file name or
+// a {fixtures} test script.  Returns {width, height, images, labels}.
+function loadDataset(options, limit = Infinity) {
+  if (options.csv) {
+    return readCsv(options.csv, limit);
+  }
+  if (options.fixtures) {
+    return readFixtures(options.fixtures, limit);
+  }
+  if (!options.images || !options.labels) {
+    throw new Error('Give --images and --labels IDX files, --csv or ' +
+      '--fixtures');
+  }
+  const dataset = readIdxImages(options.images, limit);
+  dataset.labels = readIdxLabels(options.labels, limit);
+  if (dataset.labels.length !== dataset.images.length) {
+    throw new Error(options.images + ' has ' + dataset.images.length +
+      ' images but ' + options.labels + ' has ' + dataset.labels.length +
+      ' labels');
+  }
+  return dataset;
+}
+
+module.exports = {
+  readIdxImages,
+  readIdxLabels,
+  readCsv,
+  readFixtures,
+  loadDataset,
+};
@@ -0,0 +1,278 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   evaluate.js
+ *
+ * DESCRIPTION
+ *   Measures the accuracy of a model on a labelled test set, such as the
+ *   10,000 MNIST test digits, through the same prediction backend the server
+ *   uses (or through a running server with --url).  Prints the accuracy,
+ *   per-class precision and recall, the confusion matrix and the slowest
+ *   predictions, and can write them as a JSON or HTML report.
+ *
+ *     node src/evaluate.js --images t10k-images-idx3-ubyte \
+ *                          --labels t10k-labels-idx1-ubyte --limit 1000
+ *
+ *   Options:
+ *     --images FILE      IDX images file (.gz is fine)
+ *     --labels FILE      IDX labels file (.gz is fine)
+ *     --csv FILE         CSV file of label,pixel,... instead of IDX files
+ *     --fixtures FILE    the digits of a test script like test_back_MNIST.sh
+ *     --limit N          only evaluate the first N images
+ *     --concurrency N    predictions in flight at once (default 4)
+ *     --model NAME       model to evaluate (default: the default model)
+ *     --url URL          use the server at URL instead of the backend
+ *     --api-key KEY      API key for --url, see auth.js
+ *     --slowest N        number of slowest predictions to list (default 10)
+ *     --json FILE        write the report as JSON
+ *     --html FILE        write the report as HTML
+ *
+ *   The backend and its settings come from the environment and the
+ *   MNIST_CONFIG file as for the server, see config.js.  Keep --concurrency
+ *   low against a shared database.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const { loadDataset } = require('./dataset.js');
+const { parseArgs, openPredictor, runPool, pad, percent } =
+  require('./tools.js');
+
+const OPTIONS = {
+  images: 'string',
+  labels: 'string',
+  csv: 'string',
+  fixtures: 'string',
+  limit: 'number',
+  concurrency: 'number',
+  model: 'string',
+  url: 'string',
+  'api-key': 'string',
+  slowest: 'number',
+  json: 'string',
+  html: 'string',
+};
+
+// Returns accuracy, per-class statistics and the confusion matrix
+function summarize(cases, slowest) {
+  const scored = cases.filter((c) => c.error === undefined);
+  const labels = Array.from(new Set(scored.map((c) => c.label)
+    .concat(scored.map((c) => c.predicted))))
+    .sort((a, b) => (typeof a === 'number' && typeof b === 'number') ?
+      a - b : String(a).localeCompare(String(b)));
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (const c of scored) {
+    matrix[index.get(c.label)][index.get(c.predicted)]++;
+  }
+
+  const classes = labels.map((label, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = predicted ? truePositives / predicted : 0;
+    const recall = support ? truePositives / support : 0;
+    return {
+      label: label,
+      precision: precision,
+      recall: recall,
+      f1: precision + recall ? 2 * precision * recall / (precision + recall) : 0,
+      support: support
+    };
+  });
+
+  const correct = scored.filter((c) => c.label === c.predicted).length;
+  return {
+    total: cases.length,
+    scored: scored.length,
+    errors: cases.length - scored.length,
+    accuracy: scored.length ? correct / scored.length : 0,
+    classes: classes,
+    labels: labels,
+    confusionMatrix: matrix,
+    slowest: scored.slice().sort((a, b) => b.ms - a.ms).slice(0, slowest),
+    failures: cases.filter((c) => c.error !== undefined).slice(0, 10)
+  };
+}
+
+// Prints the report as text tables
+function printReport(report) {
+  const s = report.summary;
+  console.log('');
+  console.log('Model:     ' + report.model);
+  console.log('Images:    ' + s.total + ' (' + s.errors + ' errors)');
+  console.log('Time:      ' + (report.elapsedMs / 1000).toFixed(1) + ' s, ' +
+    report.imagesPerSecond.toFixed(1) + ' images/s');
+  console.log('Accuracy:  ' + percent(s.accuracy));
+
+  console.log('');
+  console.log('label  precision     recall         f1  support');
+  for (const c of s.classes) {
+    console.log(pad(c.label, 5) + pad(percent(c.precision), 11) +
+      pad(percent(c.recall), 11) + pad(percent(c.f1), 11) +
+      pad(c.support, 9));
+  }
+
+  console.log('');
+  console.log('Confusion matrix (rows: true label, columns: predicted label)');
+  console.log('     ' + s.labels.map((label) => pad(label, 6)).join(''));
+  s.confusionMatrix.forEach((row, i) => {
+    console.log(pad(s.labels[i], 5) + row.map((n) => pad(n, 6)).join(''));
+  });
+
+  console.log('');
+  console.log('Slowest predictions');
+  console.log('index  label  predicted      ms');
+  for (const c of s.slowest) {
+    console.log(pad(c.index, 5) + pad(c.label, 7) + pad(c.predicted, 11) +
+      pad(c.ms.toFixed(1), 8));
+  }
+
+  for (const c of s.failures) {
+    console.log('Image ' + c.index + ' failed: ' + c.error);
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (ch) =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+// Returns the report as an HTML page.  Confusion matrix cells are shaded by
+// their share of the row.
+function htmlReport(report) {
+  const s = report.summary;
+  const rows = [];
+  rows.push('<!DOCTYPE html>');
+  rows.push('<html><head><meta charset="utf-8">');
+  rows.push('<title>MNIST evaluation: ' + escapeHtml(report.model) + '</title>');
+  rows.push('<style>body { font-family: monospace; } ' +
+    'td, th { padding: 2px 8px; text-align: right; } ' +
+    'table { border-collapse: collapse; margin-bottom: 20px; }</style>');
+  rows.push('</head><body>');
+  rows.push('<h1>MNIST evaluation: ' + escapeHtml(report.model) + '</h1>');
+  rows.push('<p>' + s.total + ' images, ' + s.errors + ' errors, ' +
+    'accuracy <b>' + percent(s.accuracy) + '</b>, ' +
+    report.imagesPerSecond.toFixed(1) + ' images/s, ' +
+    escapeHtml(report.date) + '</p>');
+
+  rows.push('<h2>Per class</h2><table>');
+  rows.push('<tr><th>label</th><th>precision</th><th>recall</th>' +
+    '<th>f1</th><th>support</th></tr>');
+  for (const c of s.classes) {
+    rows.push('<tr><td>' + escapeHtml(c.label) + '</td><td>' +
+      percent(c.precision) + '</td><td>' + percent(c.recall) + '</td><td>' +
+      percent(c.f1) + '</td><td>' + c.support + '</td></tr>');
+  }
+  rows.push('</table>');
+
+  rows.push('<h2>Confusion matrix</h2>');
+  rows.push('<p>Rows: true label, columns: predicted label</p><table>');
+  rows.push('<tr><th></th>' + s.labels.map((label) =>
+    '<th>' + escapeHtml(label) + '</th>').join('') + '</tr>');
+  s.confusionMatrix.forEach((row, i) => {
+    const total = row.reduce((a, b) => a + b, 0) || 1;
+    rows.push('<tr><th>' + escapeHtml(s.labels[i]) + '</th>' +
+      row.map((n, j) => {
+        const shade = (n / total).toFixed(2);
+        const color = i === j ? '0, 128, 0' : '200, 0, 0';
+        return '<td style="background: rgba(' + color + ', ' + shade +
+          ')">' + n + '</td>';
+      }).join('') + '</tr>');
+  });
+  rows.push('</table>');
+
+  rows.push('<h2>Slowest predictions</h2><table>');
+  rows.push('<tr><th>index</th><th>label</th><th>predicted</th>' +
+    '<th>ms</th></tr>');
+  for (const c of s.slowest) {
+    rows.push('<tr><td>' + c.index + '</td><td>' + escapeHtml(c.label) +
+      '</td><td>' + escapeHtml(c.predicted) + '</td><td>' +
+      c.ms.toFixed(1) + '</td></tr>');
+  }
+  rows.push('</table>');
+  rows.push('</body></html>');
+  return rows.join('\n') + '\n';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), OPTIONS,
+    { concurrency: 4, slowest: 10 });
+  const dataset = loadDataset(args, args.limit);
+  console.log('Loaded ' + dataset.images.length + ' images (' +
+    dataset.width + 'x' + dataset.height + ')');
+
+  const predictor = await openPredictor(args, dataset);
+  const model = predictor.model;
+  const predictLabel = predictor.predictLabel;
+
+  const cases = [];
+  const start = process.hrtime.bigint();
+  try {
+    await runPool(dataset.images, args.concurrency, async (pixels, index) => {
+      const begin = process.hrtime.bigint();
+      const result = { index: index, label: dataset.labels[index] };
+      try {
+        result.predicted = await predictLabel(pixels);
+      } catch (err) {
+        result.error = err.message;
+      }
+      result.ms = Number(process.hrtime.bigint() - begin) / 1e6;
+      cases[index] = result;
+      if ((index + 1) % 1000 === 0) {
+        console.error('... ' + (index + 1) + ' images');
+      }
+    });
+  } finally {
+    await predictor.close();
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  const report = {
+    model: model,
+    date: new Date().toISOString(),
+    elapsedMs: elapsedMs,
+    imagesPerSecond: cases.length / (elapsedMs / 1000),
+    concurrency: args.concurrency,
+    summary: summarize(cases, args.slowest)
+  };
+  printReport(report);
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + '\n');
+    console.log('Wrote ' + args.json);
+  }
+  if (args.html) {
+    fs.writeFileSync(args.html, htmlReport(report));
+    console.log('Wrote ' + args.html);
+  }
+}
+
+main().catch((err) => {
+  console.error('evaluate: ' + err.message);
+  process.exit(1);
+});
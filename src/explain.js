@@ -0,0 +1,154 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   explain.js
+ *
+ * DESCRIPTION
+ *   Occlusion heatmaps: which pixels drove a prediction.  A square patch of
+ *   the image is blacked out at every position of a grid, and each of these
+ *   variants is scored along with the image.  A pixel's importance is how
+ *   much the probability of the predicted label drops, on average, when it
+ *   is hidden.  Pixels that argue for another label come out negative.
+ *   Models without probabilities use how far the predicted value moves
+ *   instead.
+ *
+ *   With the default 4x4 patch moved 2 pixels at a time, a 28x28 image
+ *   takes 169 variants, scored in a few batches.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const { toLabel } = require('./backends');
+const { InputError } = require('./pixels.js');
+
+const DEFAULT_PATCH = 4;
+const DEFAULT_STRIDE = 2;
+const MAX_PATCH = 14;
+// Most variants one explanation may score in its query
+const MAX_VARIANTS = 400;
+
+// Checks the "patch" and "stride" of a POST /api/explain body.  Returns
+// {patch, stride}.
+function parseExplainOptions(json, shape) {
+  const options = { patch: DEFAULT_PATCH, stride: DEFAULT_STRIDE };
+  for (const name of ['patch', 'stride']) {
+    const value = json[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > MAX_PATCH) {
+      throw new InputError(name + ' must be an integer from 1 to ' +
+        MAX_PATCH);
+    }
+    options[name] = value;
+  }
+  if (options.stride > options.patch) {
+    throw new InputError('stride must be at most patch, or some pixels ' +
+      'are never hidden');
+  }
+  const count = positions(shape.width, options).length *
+    positions(shape.height, options).length;
+  if (count > MAX_VARIANTS) {
+    throw new InputError('patch ' + options.patch + ' and stride ' +
+      options.stride + ' make ' + count + ' variants, the limit is ' +
+      MAX_VARIANTS);
+  }
+  return options;
+}
+
+// Returns the starts of the patches along a side of size pixels, the last
+// one flush with the edge so every pixel is covered
+function positions(size, options) {
+  const patch = Math.min(options.patch, size);
+  const starts = [];
+  for (let start = 0; start + patch < size; start += options.stride) {
+    starts.push(start);
+  }
+  starts.push(size - patch);
+  return starts;
+}
+
+// Returns the score of a prediction for the label predicted for the image
+function scoreOf(result, label) {
+  const found = result.classes.find((c) => String(c.label) == String(label));
+  return found ? found.probability : 0;
+}
+
+// Explains the prediction of an image.  predict(images) resolves to one
+// {value, classes} per image, classes ranking every label with its
+// probability.  Resolves to {label, value, probability, measure, variants,
+// heat}, heat being the importance of each pixel in the order of pixels.
+async function explainPrediction(pixels, shape, options, predict) {
+  const width = shape.width;
+  const height = shape.height;
+  const patch = Math.min(options.patch, width, height);
+  const patches = [];
+  for (const top of positions(height, options)) {
+    for (const left of positions(width, options)) {
+      patches.push({ left: left, top: top });
+    }
+  }
+  const variants = patches.map((p) => {
+    const variant = pixels.slice();
+    for (let y = p.top; y < p.top + patch; y++) {
+      variant.fill(0, y * width + p.left, y * width + p.left + patch);
+    }
+    return variant;
+  });
+
+  const [base, ...results] = await predict([pixels].concat(variants));
+  const label = toLabel(base.value);
+  const byProbability = base.classes.some((c) =>
+    String(c.label) == String(label));
+  const baseScore = byProbability ? scoreOf(base, label) : 0;
+
+  const sum = new Array(width * height).fill(0);
+  const count = new Array(width * height).fill(0);
+  patches.forEach((p, i) => {
+    const drop = byProbability ? baseScore - scoreOf(results[i], label) :
+      Math.abs(Number(results[i].value) - Number(base.value));
+    for (let y = p.top; y < p.top + patch; y++) {
+      for (let x = p.left; x < p.left + patch; x++) {
+        sum[y * width + x] += drop;
+        count[y * width + x]++;
+      }
+    }
+  });
+
+  return {
+    label: label,
+    value: base.value,
+    probability: byProbability ? baseScore : null,
+    measure: byProbability ? 'probability' : 'value',
+    variants: variants.length,
+    heat: sum.map((total, i) => total / count[i])
+  };
+}
+
+module.exports = {
+  parseExplainOptions,
+  explainPrediction,
+};
@@ -0,0 +1,142 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   images.js
+ *
+ * DESCRIPTION
+ *   Decodes PNG and JPEG uploads into grayscale pictures for preprocess.js.
+ *   An upload is either the raw file as the request body or the first file
+ *   of a multipart/form-data body.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { InputError } = require('./pixels.js');
+const { toGrayscale } = require('./preprocess.js');
+
+// Larger pictures are refused rather than decoded.  2 MP is well above a
+// canvas or a photo of a digit, and bounds the memory preprocess.js needs.
+const MAX_PIXELS = 2 * 1024 * 1024;
+
+// Returns the file in a multipart/form-data body: the first part with a
+// filename, or the first part when none has one
+function readMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) {
+    throw new InputError('multipart body without a boundary');
+  }
+  const delimiter = Buffer.from('--' + (match[1] || match[2]));
+  const parts = [];
+  let start = body.indexOf(delimiter);
+  while (start >= 0) {
+    start += delimiter.length;
+    if (body.subarray(start, start + 2).toString() === '--') {
+      break;
+    }
+    const end = body.indexOf(delimiter, start);
+    if (end < 0) {
+      break;
+    }
+    // Each part is CRLF, headers, CRLF CRLF, data, CRLF
+    const part = body.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd >= 0) {
+      parts.push({
+        headers: part.subarray(0, headerEnd).toString('utf8'),
+        data: part.subarray(headerEnd + 4)
+      });
+    }
+    start = end;
+  }
+  const file = parts.find((p) => /filename=/i.test(p.headers)) || parts[0];
+  if (!file) {
+    throw new InputError('multipart body has no file');
+  }
+  return file.data;
+}
+
+// Refuses a PNG whose IHDR chunk declares too many pixels, so that an
+// oversized picture is never decoded
+function checkPngSize(data) {
+  if (data.length < 24 || data.toString('latin1', 12, 16) !== 'IHDR') {
+    throw new InputError('cannot decode image: PNG has no IHDR chunk');
+  }
+  const width = data.readUInt32BE(16);
+  const height = data.readUInt32BE(20);
+  if (width * height > MAX_PIXELS) {
+    throw new InputError('image is larger than ' + MAX_PIXELS + ' pixels');
+  }
+}
+
+// Returns {width, height, gray} for a PNG or JPEG file
+function decodeImage(data) {
+  const isPng = data.length > 8 && data.readUInt32BE(0) === 0x89504e47;
+  let image;
+  if (isPng) {
+    checkPngSize(data);
+  }
+  try {
+    if (isPng) {
+      image = PNG.sync.read(data);
+    } else if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8) {
+      image = jpeg.decode(data, {
+        useTArray: true,
+        maxResolutionInMP: MAX_PIXELS / 1e6
+      });
+    }
+  } catch (err) {
+    throw new InputError('cannot decode image: ' + err.message);
+  }
+  if (!image) {
+    throw new InputError('upload is not a PNG or JPEG image');
+  }
+  if (image.width * image.height > MAX_PIXELS) {
+    throw new InputError('image is larger than ' + MAX_PIXELS + ' pixels');
+  }
+  return {
+    width: image.width,
+    height: image.height,
+    gray: toGrayscale(image.data, image.width, image.height)
+  };
+}
+
+// Returns the decoded picture of an upload request body
+function readUpload(body, contentType) {
+  if (body.length === 0) {
+    throw new InputError('request body is empty');
+  }
+  if (contentType && contentType.startsWith('multipart/form-data')) {
+    body = readMultipart(body, contentType);
+  }
+  return decodeImage(body);
+}
+
+module.exports = {
+  decodeImage,
+  readUpload,
+};
@@ -0,0 +1,141 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   live.js
+ *
+ * DESCRIPTION
+ *   Live predictions over a WebSocket, for the drawing page.  The client
+ *   sends snapshots of the drawing as JSON messages while the user draws:
+ *     {"seq": 12, "pixels": [...], "model": "...", "topK": 10}
+ *   and gets one message back per prediction, with the same seq:
+ *     {"seq": 12, "label": "7", "value": 7, "top": [...], ...}
+ *   or {"seq": 12, "error": "..."}.
+ *
+ *   Each model of a connection predicts one snapshot at a time.  Snapshots
+ *   arriving meanwhile replace each other, so only the newest one is
+ *   predicted next and a slow backend never falls behind the drawing.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const { WebSocket, WebSocketServer } = require('ws');
+const { logger } = require('./logger.js');
+
+// Largest message accepted, enough for the pixels of big models
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Returns a WebSocket server without a port of its own: the HTTP server
+// passes it the upgrade requests for it with handleUpgrade(request, socket,
+// head).  predict(message, request) answers a snapshot with the fields of
+// the reply, or throws an error whose message is sent back.  request.log,
+// when set, logs the connection.
+function createLiveServer(predict) {
+  const wss = new WebSocketServer({ noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES });
+
+  return {
+    handleUpgrade(request, socket, head) {
+      wss.handleUpgrade(request, socket, head, (ws) =>
+        serveConnection(ws, request, predict));
+    },
+    // Number of open connections
+    connections: () => wss.clients.size,
+    // Closes every connection, telling the page the server is going away
+    close() {
+      for (const ws of wss.clients) {
+        ws.close(1001, 'Server shutting down');
+      }
+      wss.close();
+    },
+  };
+}
+
+function serveConnection(ws, request, predict) {
+  const log = request.log || logger;
+  const start = Date.now();
+  const stats = { messages: 0, predictions: 0, dropped: 0 };
+  // model -> {next: newest snapshot waiting}, while the model is busy
+  const busy = new Map();
+
+  ws.on('message', (data) => {
+    stats.messages++;
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return send(ws, { error: 'message is not valid JSON' });
+    }
+    if (message === null || typeof message !== 'object') {
+      return send(ws, { error: 'message must be a JSON object' });
+    }
+
+    const key = String(message.model || '');
+    const waiting = busy.get(key);
+    if (waiting) {
+      if (waiting.next) {
+        stats.dropped++;
+      }
+      waiting.next = message;
+      return;
+    }
+    const channel = { next: message };
+    busy.set(key, channel);
+    run(channel).finally(() => busy.delete(key));
+  });
+
+  // Predicts the snapshots of one model until none is waiting
+  async function run(channel) {
+    while (channel.next && ws.readyState === WebSocket.OPEN) {
+      const message = channel.next;
+      channel.next = null;
+      let reply;
+      try {
+        reply = Object.assign({ seq: message.seq },
+          await predict(message, request));
+        stats.predictions++;
+      } catch (err) {
+        reply = { seq: message.seq, error: err.message };
+      }
+      send(ws, reply);
+    }
+  }
+
+  ws.on('error', (err) => log.warn('live connection problem', err));
+  ws.on('close', () => {
+    log.info('live', Object.assign({ durationMs: Date.now() - start },
+      stats));
+  });
+}
+
+function send(ws, reply) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(reply));
+  }
+}
+
+module.exports = {
+  createLiveServer,
+};
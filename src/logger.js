@@ -0,0 +1,103 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   logger.js
+ *
+ * DESCRIPTION
+ *   Structured logging: every entry is one JSON line with the time, the
+ *   level, a message and its fields, so the log can be parsed and filtered
+ *   under load.  Entries at warn and error go to stderr, the rest to stdout.
+ *
+ *   logger.child(fields) returns a logger that adds fields to every entry,
+ *   which is how each request gets its requestId.  configureLogger() can
+ *   add fields to every entry of the process, such as the worker id.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Entries below this level are dropped, see configureLogger()
+let threshold = LEVELS.info;
+// Fields of every entry, see configureLogger()
+const processFields = {};
+
+// Returns err as loggable fields, since JSON.stringify drops them
+function errorFields(err) {
+  return { error: err.message, errorName: err.name, stack: err.stack };
+}
+
+function createLogger(bound) {
+  // Writes an entry whatever the level threshold
+  function write(level, message, fields) {
+    if (fields instanceof Error) {
+      fields = errorFields(fields);
+    } else if (fields && fields.error instanceof Error) {
+      fields = Object.assign({}, fields, errorFields(fields.error));
+    }
+    const line = JSON.stringify(Object.assign({
+      time: new Date().toISOString(),
+      level: level,
+      msg: message
+    }, processFields, bound, fields)) + '\n';
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout)
+      .write(line);
+  }
+
+  function log(level) {
+    return (message, fields) => {
+      if (LEVELS[level] >= threshold) {
+        write(level, message, fields);
+      }
+    };
+  }
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    write: write,
+    child: (fields) => createLogger(Object.assign({}, bound, fields)),
+    isEnabled: (level) => LEVELS[level] >= threshold
+  };
+}
+
+// Sets the lowest level written: "debug", "info", "warn" or "error", and
+// fields to add to every entry
+function configureLogger(level, fields = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error('Unknown log level "' + level + '"');
+  }
+  threshold = LEVELS[level];
+  Object.assign(processFields, fields);
+}
+
+module.exports = {
+  LEVELS,
+  logger: createLogger({}),
+  configureLogger,
+};
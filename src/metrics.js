@@ -0,0 +1,166 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   metrics.js
+ *
+ * DESCRIPTION
+ *   A small registry of counters and histograms written out in the
+ *   Prometheus text format for GET /metrics.  Values owned by other modules
+ *   (pool statistics, cache and queue counters) are read when the metrics
+ *   are scraped, through collectors.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const { logger } = require('./logger.js');
+
+// Latency buckets in seconds, from a cached answer to a slow database
+const DEFAULT_BUCKETS =
+  [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Returns the {name="value",...} part of a sample
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return '{' + names.map((name) => name + '="' + String(labels[name])
+    .replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"') +
+    '"').join(',') + '}';
+}
+
+// Returns a number the way Prometheus reads it
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function createRegistry() {
+  // name -> {type, help, series: Map(label key -> {labels, ...})}, or
+  // {type, help, collect} for collected metrics
+  const metrics = new Map();
+
+  function series(metric, labels, create) {
+    const key = formatLabels(labels);
+    let entry = metric.series.get(key);
+    if (!entry) {
+      entry = create();
+      entry.labels = labels;
+      metric.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Returns a counter with inc(labels, by)
+  function counter(name, help) {
+    const metric = { type: 'counter', help: help, series: new Map() };
+    metrics.set(name, metric);
+    return {
+      inc(labels = {}, by = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += by;
+      }
+    };
+  }
+
+  // Returns a histogram with observe(labels, value)
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = { type: 'histogram', help: help, series: new Map(),
+      buckets: buckets };
+    metrics.set(name, metric);
+    return {
+      observe(labels, value) {
+        const entry = series(metric, labels, () =>
+          ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  // Registers a metric whose samples collect() returns at scrape time, as
+  // [{labels, value}].  type is "gauge" or "counter".
+  function collected(name, help, type, collect) {
+    metrics.set(name, { type: type, help: help, collect: collect });
+  }
+
+  // Returns every metric in the Prometheus text format
+  function render() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+      let samples;
+      try {
+        samples = metric.collect ? metric.collect() : null;
+      } catch (err) {
+        logger.error("metrics " + name + " error", err);
+        continue;
+      }
+      if (samples && samples.length === 0) {
+        continue;
+      }
+      lines.push('# HELP ' + name + ' ' + metric.help);
+      lines.push('# TYPE ' + name + ' ' + metric.type);
+      if (samples) {
+        for (const sample of samples) {
+          lines.push(name + formatLabels(sample.labels || {}) + ' ' +
+            formatValue(sample.value));
+        }
+      } else if (metric.type === 'histogram') {
+        for (const entry of metric.series.values()) {
+          metric.buckets.forEach((bound, i) => {
+            lines.push(name + '_bucket' + formatLabels(Object.assign({},
+              entry.labels, { le: formatValue(bound) })) + ' ' +
+              entry.counts[i]);
+          });
+          lines.push(name + '_bucket' + formatLabels(Object.assign({},
+            entry.labels, { le: '+Inf' })) + ' ' + entry.count);
+          lines.push(name + '_sum' + formatLabels(entry.labels) + ' ' +
+            formatValue(entry.sum));
+          lines.push(name + '_count' + formatLabels(entry.labels) + ' ' +
+            entry.count);
+        }
+      } else {
+        for (const entry of metric.series.values()) {
+          lines.push(name + formatLabels(entry.labels) + ' ' +
+            formatValue(entry.value));
+        }
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, histogram, collected, render };
+}
+
+module.exports = {
+  createRegistry,
+};
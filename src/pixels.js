@@ -0,0 +1,203 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   pixels.js
+ *
+ * DESCRIPTION
+ *   Parses and validates MNIST images sent by clients.  An image is either a
+ *   flat array of 784 numbers or a 28x28 nested array, with each pixel in the
+ *   range 0 to 255.  Models with other input sizes pass their own shape, an
+ *   object with "width" and "height" such as the prediction backend.
+ *
+ *   Batches are a JSON array of images (or {"images": [...]}), or NDJSON with
+ *   one image per line.  Each image is a pixel array or {"pixels": [...]}.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const IMAGE_WIDTH = 28;
+const IMAGE_HEIGHT = 28;
+const IMAGE_SIZE = IMAGE_WIDTH * IMAGE_HEIGHT;
+const MNIST_SHAPE = { width: IMAGE_WIDTH, height: IMAGE_HEIGHT };
+const MAX_BATCH_SIZE = 10000;
+const DEFAULT_TOP_K = 3;
+const MAX_TOP_K = 10;
+
+// Raised when a client sends something that is not an MNIST image.  The HTTP
+// layer answers these with a 400 instead of a 500.
+class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+    this.statusCode = 400;
+  }
+}
+
+// Returns a flat array of width*height numbers from a flat or nested array
+function toPixels(image, shape = MNIST_SHAPE) {
+  if (!Array.isArray(image)) {
+    throw new InputError('pixels must be an array');
+  }
+
+  const size = shape.width * shape.height;
+  let pixels = image;
+  if (image.length === shape.height && image.every(Array.isArray)) {
+    for (let row = 0; row < shape.height; row++) {
+      if (image[row].length !== shape.width) {
+        throw new InputError('row ' + row + ' has ' + image[row].length +
+          ' pixels, expected ' + shape.width);
+      }
+    }
+    pixels = [].concat(...image);
+  }
+
+  if (pixels.length !== size) {
+    throw new InputError('expected ' + size + ' pixels, got ' +
+      pixels.length);
+  }
+
+  for (let i = 0; i < size; i++) {
+    const value = pixels[i];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new InputError('pixel ' + i + ' is not a number');
+    }
+    if (value < 0 || value > 255) {
+      throw new InputError('pixel ' + i + ' is out of range 0-255');
+    }
+  }
+  return pixels;
+}
+
+// Parses the pixels of a GET /<pixels> request: width*height numbers
+// separated by commas
+function parsePixelList(text, shape = MNIST_SHAPE) {
+  const values = text.split(',').map((value) =>
+    value.trim() === '' ? NaN : Number(value));
+  return toPixels(values, shape);
+}
+
+// Returns the number of classes to rank, DEFAULT_TOP_K when not given
+function toTopK(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_TOP_K;
+  }
+  const topK = Number(value);
+  if (!Number.isInteger(topK) || topK < 0 || topK > MAX_TOP_K) {
+    throw new InputError('topK must be an integer from 0 to ' + MAX_TOP_K);
+  }
+  return topK;
+}
+
+// Parses a JSON request body
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new InputError('request body is not valid JSON');
+  }
+}
+
+// Checks the parsed body of a POST /api/predict request:
+// {"pixels": [...784 numbers]} or {"pixels": [[...28], ...28 rows]}, with
+// an optional "topK" number of ranked classes.  Returns {pixels, topK}.
+function parsePredictBody(json, shape) {
+  if (json === null || typeof json !== 'object' || !('pixels' in json)) {
+    throw new InputError('request body must have a "pixels" property');
+  }
+  return { pixels: toPixels(json.pixels, shape), topK: toTopK(json.topK) };
+}
+
+// Reads the body of a POST /api/predict/batch request.  Returns {model,
+// images} where model is the "model" property of a JSON object body, if any,
+// and images are still to be checked with toBatchPixels.
+function readBatchBody(body, contentType) {
+  if (contentType && contentType.includes('ndjson')) {
+    const images = body.split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return new InputError('line is not valid JSON');
+        }
+      });
+    return { images: images };
+  }
+
+  const json = parseJson(body);
+  const images = (json !== null && !Array.isArray(json)) ? json.images : json;
+  if (!Array.isArray(images)) {
+    throw new InputError('request body must be an array of images ' +
+      'or have an "images" array');
+  }
+  return { model: Array.isArray(json) ? undefined : json.model, images: images };
+}
+
+// Checks the images of a batch.  Returns one entry per image, in input
+// order: {pixels} when the image is valid, {error} otherwise, so one bad
+// image does not fail the whole batch.
+function toBatchPixels(images, shape) {
+  if (images.length === 0) {
+    throw new InputError('batch is empty');
+  }
+  if (images.length > MAX_BATCH_SIZE) {
+    throw new InputError('batch has ' + images.length + ' images, the limit ' +
+      'is ' + MAX_BATCH_SIZE);
+  }
+
+  return images.map((item) => {
+    try {
+      if (item instanceof InputError) {
+        throw item;
+      }
+      if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+        item = item.pixels;
+      }
+      return { pixels: toPixels(item, shape) };
+    } catch (err) {
+      if (!(err instanceof InputError)) {
+        throw err;
+      }
+      return { error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  IMAGE_WIDTH,
+  IMAGE_HEIGHT,
+  IMAGE_SIZE,
+  MNIST_SHAPE,
+  MAX_TOP_K,
+  InputError,
+  toPixels,
+  parsePixelList,
+  toTopK,
+  parseJson,
+  parsePredictBody,
+  readBatchBody,
+  toBatchPixels,
+};
@@ -0,0 +1,557 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   preprocess.js
+ *
+ * DESCRIPTION
+ *   Turns an arbitrary grayscale picture of a digit into an MNIST image, the
+ *   way the MNIST digits were made:
+ *
+ *     1. invert the picture when its background is light, so the digit is
+ *        light on black
+ *     2. crop to the bounding box of the digit and, when asked, thicken or
+ *        thin the strokes to the MNIST stroke width
+ *     3. resize to fit a 20x20 box keeping the aspect ratio, averaging the
+ *        area each output pixel covers (anti-aliased)
+ *     4. stretch the contrast so the brightest pixel is 255
+ *     5. paste into a 28x28 image with the centre of mass in the middle
+ *
+ *   Models with other input sizes scale the 20/28 box to their size.
+ *
+ *   A picture of a whole number is first split into digits with
+ *   segmentDigits(), and each digit then goes through the steps above.
+ *
+ *   The module has no dependencies and runs both in Node.js (require) and in
+ *   the browser (window.mnistPreprocess), so the server and the canvas page
+ *   share the same pipeline.
+ *
+ *****************************************************************************/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.mnistPreprocess = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+  'use strict';
+
+  // Share of the image taken by the digit box: 20 of 28 pixels in MNIST
+  const BOX_RATIO = 20 / 28;
+
+  // Pixels below this share of the brightest one are background for cropping
+  const CROP_THRESHOLD = 0.1;
+
+  // Average stroke width of MNIST digits as strokeWidth() measures it, in
+  // pixels of a 28x28 image
+  const STROKE_WIDTH = 3.5;
+
+  // Most pixels a stroke is thickened or thinned by on each side, which
+  // bounds the work on large pictures
+  const MAX_STROKE_STEPS = 16;
+
+  // Ink groups with fewer pixels than this share of the largest group are
+  // specks, not digits
+  const MIN_PART_SHARE = 0.05;
+
+  // Ink groups whose columns overlap by this share of the narrower one are
+  // the strokes of one digit, such as the bar and the hook of a "5"
+  const MERGE_OVERLAP = 0.5;
+
+  // Ink wider than this times its height is digits written touching each
+  // other, and is cut into DIGIT_ASPECT wide digits
+  const MAX_DIGIT_ASPECT = 1.2;
+  const DIGIT_ASPECT = 0.7;
+
+  // Pictures of numbers with a longer side are shrunk to it before they are
+  // split, which bounds the work and the copies of segmentDigits()
+  const MAX_SEGMENT_SIDE = 1024;
+
+  // Returns the gray values 0-255 of RGBA pixel data, with transparent
+  // pixels drawn over white.  The pictures and their copies below are
+  // Float32Arrays, a quarter of the memory of plain arrays on big pictures.
+  function toGrayscale(rgba, width, height) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const alpha = rgba[4 * i + 3] / 255;
+      const luma = 0.299 * rgba[4 * i] + 0.587 * rgba[4 * i + 1] +
+        0.114 * rgba[4 * i + 2];
+      gray[i] = luma * alpha + 255 * (1 - alpha);
+    }
+    return gray;
+  }
+
+  // Returns the largest value.  Math.max(...values) overflows the stack on
+  // big pictures.
+  function maxValue(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] > max) {
+        max = values[i];
+      }
+    }
+    return max;
+  }
+
+  // Returns true when the border of the picture is mostly light
+  function hasLightBackground(gray, width, height) {
+    let sum = 0;
+    let count = 0;
+    for (let x = 0; x < width; x++) {
+      sum += gray[x] + gray[(height - 1) * width + x];
+      count += 2;
+    }
+    for (let y = 1; y < height - 1; y++) {
+      sum += gray[y * width] + gray[y * width + width - 1];
+      count += 2;
+    }
+    return sum / count > 127;
+  }
+
+  // Returns {left, top, width, height} of the pixels brighter than
+  // threshold, or null when there are none
+  function boundingBox(gray, width, height, threshold) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (gray[y * width + x] > threshold) {
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+        }
+      }
+    }
+    if (right < 0) {
+      return null;
+    }
+    return { left: left, top: top, width: right - left + 1,
+      height: bottom - top + 1 };
+  }
+
+  // Returns a rectangle of the picture
+  function crop(gray, width, box) {
+    const out = new Float32Array(box.width * box.height);
+    for (let y = 0; y < box.height; y++) {
+      for (let x = 0; x < box.width; x++) {
+        out[y * box.width + x] = gray[(box.top + y) * width + box.left + x];
+      }
+    }
+    return out;
+  }
+
+  // Resizes by averaging the source area under each output pixel, which
+  // keeps thin strokes instead of dropping them like nearest neighbour
+  function resizeArea(src, sw, sh, dw, dh) {
+    const out = new Float32Array(dw * dh);
+    const sx = sw / dw;
+    const sy = sh / dh;
+    for (let y = 0; y < dh; y++) {
+      const y0 = y * sy;
+      const y1 = y0 + sy;
+      for (let x = 0; x < dw; x++) {
+        const x0 = x * sx;
+        const x1 = x0 + sx;
+        let sum = 0;
+        for (let yy = Math.floor(y0); yy < Math.min(Math.ceil(y1), sh); yy++) {
+          const wy = Math.min(y1, yy + 1) - Math.max(y0, yy);
+          for (let xx = Math.floor(x0); xx < Math.min(Math.ceil(x1), sw); xx++) {
+            const wx = Math.min(x1, xx + 1) - Math.max(x0, xx);
+            sum += src[yy * sw + xx] * wx * wy;
+          }
+        }
+        out[y * dw + x] = sum / (sx * sy);
+      }
+    }
+    return out;
+  }
+
+  // Returns the centre of mass {x, y} of a picture
+  function centreOfMass(gray, width, height) {
+    let total = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = gray[y * width + x];
+        total += value;
+        cx += value * (x + 0.5);
+        cy += value * (y + 0.5);
+      }
+    }
+    if (total === 0) {
+      return { x: width / 2, y: height / 2 };
+    }
+    return { x: cx / total, y: cy / total };
+  }
+
+  // Returns the stroke width of the pixels brighter than threshold.  A
+  // stroke of width w and length l has w*l pixels and about 2*l edge pixels.
+  function strokeWidth(gray, width, height, threshold) {
+    let ink = 0;
+    let edge = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (gray[i] <= threshold) {
+          continue;
+        }
+        ink++;
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+            gray[i - 1] <= threshold || gray[i + 1] <= threshold ||
+            gray[i - width] <= threshold || gray[i + width] <= threshold) {
+          edge++;
+        }
+      }
+    }
+    return edge > 0 ? 2 * ink / edge : 0;
+  }
+
+  // Returns the picture with a margin of background pixels around it
+  function pad(gray, width, height, margin) {
+    const outWidth = width + 2 * margin;
+    const out = new Float32Array(outWidth * (height + 2 * margin));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        out[(y + margin) * outWidth + x + margin] = gray[y * width + x];
+      }
+    }
+    return out;
+  }
+
+  // Makes the strokes one pixel thicker (grow) or thinner on every side by
+  // taking the brightest or darkest pixel of each 3x3 neighbourhood
+  function morph(gray, width, height, grow) {
+    const out = new Float32Array(width * height);
+    const pick = grow ? Math.max : Math.min;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = gray[y * width + x];
+        for (let yy = Math.max(y - 1, 0); yy <= Math.min(y + 1, height - 1); yy++) {
+          for (let xx = Math.max(x - 1, 0); xx <= Math.min(x + 1, width - 1); xx++) {
+            value = pick(value, gray[yy * width + xx]);
+          }
+        }
+        out[y * width + x] = value;
+      }
+    }
+    return out;
+  }
+
+  // Thickens or thins the strokes of a cropped digit towards target pixels
+  // and crops it again.  Returns {gray, width, height, left, top}, left and
+  // top being where the new crop starts in the given picture.
+  function normaliseStroke(gray, width, height, target, threshold) {
+    const current = strokeWidth(gray, width, height, threshold);
+    const steps = Math.max(-MAX_STROKE_STEPS, Math.min(MAX_STROKE_STEPS,
+      Math.round((target - current) / 2)));
+    if (steps > 0) {
+      gray = pad(gray, width, height, steps);
+      width += 2 * steps;
+      height += 2 * steps;
+    }
+    for (let i = 0; i < Math.abs(steps); i++) {
+      gray = morph(gray, width, height, steps > 0);
+    }
+    const box = boundingBox(gray, width, height, threshold);
+    if (!box) {
+      return null;
+    }
+    return { gray: crop(gray, width, box), width: box.width,
+      height: box.height, left: box.left - Math.max(steps, 0),
+      top: box.top - Math.max(steps, 0) };
+  }
+
+  // Numbers the 8-connected groups of pixels brighter than threshold from 1.
+  // Returns {labels, parts}: the group number of every pixel, 0 for the
+  // background, and per group {id, left, right, top, bottom, count}.
+  function labelParts(gray, width, height, threshold) {
+    const labels = new Int32Array(width * height);
+    const parts = [];
+    const stack = [];
+    for (let start = 0; start < width * height; start++) {
+      if (labels[start] !== 0 || gray[start] <= threshold) {
+        continue;
+      }
+      const part = { id: parts.length + 1, left: width, right: -1,
+        top: height, bottom: -1, count: 0 };
+      parts.push(part);
+      labels[start] = part.id;
+      stack.push(start);
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i - x) / width;
+        part.left = Math.min(part.left, x);
+        part.right = Math.max(part.right, x);
+        part.top = Math.min(part.top, y);
+        part.bottom = Math.max(part.bottom, y);
+        part.count++;
+        for (let yy = Math.max(y - 1, 0); yy <= Math.min(y + 1, height - 1); yy++) {
+          for (let xx = Math.max(x - 1, 0); xx <= Math.min(x + 1, width - 1); xx++) {
+            const j = yy * width + xx;
+            if (labels[j] === 0 && gray[j] > threshold) {
+              labels[j] = part.id;
+              stack.push(j);
+            }
+          }
+        }
+      }
+    }
+    return { labels: labels, parts: parts };
+  }
+
+  // Returns the digit made of the groups ids between columns left and right,
+  // with its box fitted to its pixels, or null when it has none
+  function fitDigit(labels, width, height, ids, left, right) {
+    const digit = { ids: ids, left: right + 1, right: left - 1, top: height,
+      bottom: -1 };
+    for (let y = 0; y < height; y++) {
+      for (let x = left; x <= right; x++) {
+        if (ids.has(labels[y * width + x])) {
+          digit.left = Math.min(digit.left, x);
+          digit.right = Math.max(digit.right, x);
+          digit.top = Math.min(digit.top, y);
+          digit.bottom = Math.max(digit.bottom, y);
+        }
+      }
+    }
+    return digit.bottom < 0 ? null : digit;
+  }
+
+  // Adds a digit to digits or, when it is too wide for one digit, cuts it
+  // and adds the pieces.  The cut goes where the first digit should end if
+  // all were DIGIT_ASPECT wide, moved to the column with the least ink
+  // nearby.
+  function splitWide(labels, width, height, digit, digits) {
+    const w = digit.right - digit.left + 1;
+    const h = digit.bottom - digit.top + 1;
+    if (w <= MAX_DIGIT_ASPECT * h || w < 4) {
+      digits.push(digit);
+      return;
+    }
+    const count = Math.max(2, Math.round(w / (DIGIT_ASPECT * h)));
+    const guess = digit.left + Math.round(w / count);
+    const reach = Math.floor(w / (8 * count));
+    let cut = guess;
+    let least = Infinity;
+    for (let x = guess - reach; x <= guess + reach; x++) {
+      let ink = 0;
+      for (let y = digit.top; y <= digit.bottom; y++) {
+        if (digit.ids.has(labels[y * width + x])) {
+          ink++;
+        }
+      }
+      // ties go to the column nearest the guess
+      if (ink < least || (ink === least &&
+        Math.abs(x - guess) < Math.abs(cut - guess))) {
+        least = ink;
+        cut = x;
+      }
+    }
+    for (const piece of [
+      fitDigit(labels, width, height, digit.ids, digit.left, cut - 1),
+      fitDigit(labels, width, height, digit.ids, cut, digit.right)]) {
+      if (piece) {
+        splitWide(labels, width, height, piece, digits);
+      }
+    }
+  }
+
+  // Splits a picture of a number into its digits, left to right.  Returns
+  // per digit {box, gray, width, height}: box is {left, top, width, height}
+  // in the picture and gray the digit alone, light on black with a one
+  // pixel margin, ready for preprocess().  Digits should not overlap
+  // horizontally, as in most handwriting.
+  function segmentDigits(gray, width, height) {
+    const shrink = MAX_SEGMENT_SIDE / Math.max(width, height);
+    if (shrink < 1) {
+      const w = Math.max(1, Math.round(width * shrink));
+      const h = Math.max(1, Math.round(height * shrink));
+      const sx = w / width;
+      const sy = h / height;
+      // the boxes are given back in pixels of the picture
+      return segmentDigits(resizeArea(gray, width, height, w, h), w, h)
+        .map((digit) => {
+          const box = digit.box;
+          const left = Math.floor(box.left / sx);
+          const top = Math.floor(box.top / sy);
+          digit.box = { left: left, top: top,
+            width: Math.min(width, Math.ceil((box.left + box.width) / sx)) -
+              left,
+            height: Math.min(height, Math.ceil((box.top + box.height) / sy)) -
+              top };
+          return digit;
+        });
+    }
+    if (hasLightBackground(gray, width, height)) {
+      gray = gray.map((value) => 255 - value);
+    }
+    const max = maxValue(gray);
+    if (max === 0) {
+      return [];
+    }
+    const { labels, parts } = labelParts(gray, width, height,
+      max * CROP_THRESHOLD);
+    const largest = parts.reduce((most, part) => Math.max(most, part.count), 0);
+
+    // Join the strokes of each digit, dropping specks
+    const groups = [];
+    parts
+      .filter((part) => part.count >= MIN_PART_SHARE * largest)
+      .sort((a, b) => a.left - b.left)
+      .forEach((part) => {
+        const last = groups[groups.length - 1];
+        const overlap = last && Math.min(last.right, part.right) -
+          Math.max(last.left, part.left) + 1;
+        if (last && overlap >= MERGE_OVERLAP * Math.min(
+          last.right - last.left + 1, part.right - part.left + 1)) {
+          last.ids.add(part.id);
+          last.left = Math.min(last.left, part.left);
+          last.right = Math.max(last.right, part.right);
+          last.top = Math.min(last.top, part.top);
+          last.bottom = Math.max(last.bottom, part.bottom);
+        } else {
+          groups.push({ ids: new Set([part.id]), left: part.left,
+            right: part.right, top: part.top, bottom: part.bottom });
+        }
+      });
+
+    const digits = [];
+    for (const group of groups) {
+      splitWide(labels, width, height, group, digits);
+    }
+
+    // Cut each digit out with the faint pixels around it, which were below
+    // the threshold, but without the ink of its neighbours
+    return digits.map((digit) => {
+      const w = digit.right - digit.left + 1;
+      const h = digit.bottom - digit.top + 1;
+      const out = new Float32Array((w + 2) * (h + 2));
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = (digit.top + y) * width + digit.left + x;
+          if (labels[i] === 0 || digit.ids.has(labels[i])) {
+            out[(y + 1) * (w + 2) + x + 1] = gray[i];
+          }
+        }
+      }
+      return {
+        box: { left: digit.left, top: digit.top, width: w, height: h },
+        gray: out,
+        width: w + 2,
+        height: h + 2
+      };
+    });
+  }
+
+  // Returns the MNIST image (width*height values 0-255, default 28x28) for a
+  // grayscale picture of any size.  options.strokeWidth, when set, is the
+  // stroke width in output pixels the digit is thickened or thinned to.
+  function preprocess(gray, width, height, shape, options) {
+    return preprocessPlaced(gray, width, height, shape, options).pixels;
+  }
+
+  // Same as preprocess() but returns {pixels, placement}, where placement
+  // {x, y, scale} tells where the image came from: output pixel (i, j)
+  // shows the picture from (x + i / scale, y + j / scale).  This maps
+  // results about the image, such as a heatmap, back onto the picture.
+  function preprocessPlaced(gray, width, height, shape, options) {
+    const outWidth = (shape && shape.width) || 28;
+    const outHeight = (shape && shape.height) || 28;
+    const out = new Array(outWidth * outHeight).fill(0);
+
+    if (hasLightBackground(gray, width, height)) {
+      gray = gray.map((value) => 255 - value);
+    }
+    const max = maxValue(gray);
+    const box = max > 0 &&
+      boundingBox(gray, width, height, max * CROP_THRESHOLD);
+    if (!box) {
+      return { pixels: out, placement: { x: 0, y: 0,
+        scale: Math.min(outWidth / width, outHeight / height) } };
+    }
+
+    const boxSize = Math.max(1, Math.round(BOX_RATIO *
+      Math.min(outWidth, outHeight)));
+    let picture = { gray: crop(gray, width, box), width: box.width,
+      height: box.height, left: 0, top: 0 };
+    if (options && options.strokeWidth > 0) {
+      const target = options.strokeWidth *
+        Math.max(box.width, box.height) / boxSize;
+      picture = normaliseStroke(picture.gray, picture.width, picture.height,
+        target, max * CROP_THRESHOLD) || picture;
+    }
+
+    // Fit the digit into the box keeping its aspect ratio
+    const scale = boxSize / Math.max(picture.width, picture.height);
+    const w = Math.max(1, Math.round(picture.width * scale));
+    const h = Math.max(1, Math.round(picture.height * scale));
+    let digit = resizeArea(picture.gray, picture.width, picture.height, w, h);
+
+    const digitMax = maxValue(digit);
+    digit = digit.map((value) => value * 255 / digitMax);
+
+    // Move the centre of mass to the centre of the image
+    const centre = centreOfMass(digit, w, h);
+    const left = Math.min(Math.max(Math.round(outWidth / 2 - centre.x), 0),
+      outWidth - w);
+    const top = Math.min(Math.max(Math.round(outHeight / 2 - centre.y), 0),
+      outHeight - h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        out[(top + y) * outWidth + left + x] = Math.round(digit[y * w + x]);
+      }
+    }
+
+    // the rounding of w and h makes the scale a little different
+    const outScale = (w / picture.width + h / picture.height) / 2;
+    return {
+      pixels: out,
+      placement: {
+        x: box.left + picture.left - left / outScale,
+        y: box.top + picture.top - top / outScale,
+        scale: outScale
+      }
+    };
+  }
+
+  return {
+    STROKE_WIDTH: STROKE_WIDTH,
+    toGrayscale: toGrayscale,
+    hasLightBackground: hasLightBackground,
+    boundingBox: boundingBox,
+    resizeArea: resizeArea,
+    centreOfMass: centreOfMass,
+    strokeWidth: strokeWidth,
+    preprocess: preprocess,
+    preprocessPlaced: preprocessPlaced,
+    segmentDigits: segmentDigits,
+  };
+}));
@@ -0,0 +1,883 @@
+
+// edited from https://maneprajakta.github.io/Digit_Recognition_Web_App/
+
+// MIT License
+
+// Copyright (c) 2020 Prajakta Mane
+// Copyright (c) 2024 Sergio Rivera
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+var canvas = document.getElementById('sketchpad');
+var ctx;
+//strokes on the canvas, each {size, points}, so they can be undone and
+//drawn again; the strokes undone, for redo; and the stroke being drawn
+var strokes = [];
+var undone = [];
+var stroke = null;
+
+// fucnction for interacting with canvas
+
+function init() {
+    canvas = document.getElementById('sketchpad');
+    //'2d' means two dimensional rendering context on canvas
+    ctx = canvas.getContext('2d');
+    //we have context of canvas on ctx
+    //we will fill ctx background with black
+    ctx.fillStyle = "black";
+    // it draws a fill rect with x=0,y=0 as start 
+    //and canvas width and height
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (ctx) {
+        //pointer events cover the mouse, touch and stylus alike
+        canvas.addEventListener('pointerdown', sketchpad_pointerDown, false);
+        canvas.addEventListener('pointermove', sketchpad_pointerMove, false);
+        canvas.addEventListener('pointerup', sketchpad_pointerUp, false);
+        canvas.addEventListener('pointercancel', sketchpad_pointerCancel, false);
+    }
+    initBrush();
+    updateUndoButtons();
+    loadModels();
+    connectLive();
+    loadHistory();
+}
+
+//start once the page is loaded, the Content-Security-Policy does not allow
+//an onload attribute
+window.addEventListener('load', init);
+
+//draws point i of a stroke: a dot for the first one, then a line from
+//the point before
+function draw(ctx, stroke, i) {
+    //to set color of line
+    ctx.strokeStyle = ctx.fillStyle = "white";
+    ctx.lineWidth = stroke.size;
+    //.linejoin : set connection between two line
+    //lineCap to set end of line
+    ctx.lineJoin = ctx.lineCap = 'round';
+    ctx.beginPath();
+    var point = stroke.points[i];
+    if (i == 0) {
+        ctx.arc(point[0], point[1], stroke.size / 2, 0, 2 * Math.PI);
+        ctx.fill();
+        return;
+    }
+    var last = stroke.points[i - 1];
+    //it tells where to start drawing line
+    ctx.moveTo(last[0], last[1]);
+    //draw line from start to current position of pointer
+    ctx.lineTo(point[0], point[1]);
+    //to paint the line drawn with some pixel
+    ctx.stroke();
+}
+
+//paints the canvas black and draws the strokes again
+function redraw() {
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    strokes.forEach(function (s) {
+        for (var i = 0; i < s.points.length; i++) {
+            draw(ctx, s, i);
+        }
+    });
+}
+
+
+//Event handlers
+
+//a new stroke starts where the pointer goes down.  The canvas captures
+//the pointer so the stroke goes on when it leaves the canvas, and its
+//touch-action style stops touches from scrolling the page.
+function sketchpad_pointerDown(e) {
+    if (!e.isPrimary || (e.pointerType == "mouse" && e.button != 0)) {
+        return;
+    }
+    canvas.setPointerCapture(e.pointerId);
+    clearBoxes();
+    stroke = { size: brushSize(), points: [[e.offsetX, e.offsetY]] };
+    strokes.push(stroke);
+    undone = [];
+    draw(ctx, stroke, 0);
+    updateUndoButtons();
+    schedulePreview();
+    scheduleLive();
+}
+
+function sketchpad_pointerMove(e) {
+    if (!stroke || !e.isPrimary) {
+        return;
+    }
+    stroke.points.push([e.offsetX, e.offsetY]);
+    draw(ctx, stroke, stroke.points.length - 1);
+    schedulePreview();
+    scheduleLive();
+}
+
+//the finished drawing is predicted when the pointer goes up
+function sketchpad_pointerUp(e) {
+    if (!stroke || !e.isPrimary) {
+        return;
+    }
+    stroke = null;
+    predictCanvas(true);
+}
+
+function sketchpad_pointerCancel(e) {
+    if (e.isPrimary) {
+        stroke = null;
+    }
+}
+
+//undo takes the last stroke away and redo puts it back; the drawing left
+//is predicted again
+function undo() {
+    if (strokes.length == 0 || stroke) {
+        return;
+    }
+    undone.push(strokes.pop());
+    afterUndo();
+}
+
+function redo() {
+    if (undone.length == 0 || stroke) {
+        return;
+    }
+    strokes.push(undone.pop());
+    afterUndo();
+}
+
+function afterUndo() {
+    redraw();
+    clearBoxes();
+    updateUndoButtons();
+    schedulePreview();
+    if (strokes.length > 0) {
+        predictCanvas();
+    }
+}
+
+function updateUndoButtons() {
+    document.getElementById('undo_button').disabled = strokes.length == 0;
+    document.getElementById('redo_button').disabled = undone.length == 0;
+}
+
+document.getElementById('undo_button').addEventListener("click", undo);
+document.getElementById('redo_button').addEventListener("click", redo);
+
+//Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes, unless a text field has
+//the focus
+window.addEventListener('keydown', function (e) {
+    if (!(e.ctrlKey || e.metaKey) || e.target.tagName == "INPUT" && e.target.type == "text") {
+        return;
+    }
+    var key = e.key.toLowerCase();
+    if (key == "z" && !e.shiftKey) {
+        undo();
+    } else if (key == "y" || key == "z" && e.shiftKey) {
+        redo();
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
+
+//brush size, kept in this browser
+function brushSize() {
+    return Number(document.getElementById('brush_size').value);
+}
+
+function initBrush() {
+    var brush = document.getElementById('brush_size');
+    var saved = localStorage.getItem('mnist_brush_size');
+    if (saved) {
+        brush.value = saved;
+    }
+    document.getElementById('brush_value').textContent = brush.value;
+    brush.addEventListener("input", function () {
+        document.getElementById('brush_value').textContent = brush.value;
+        localStorage.setItem('mnist_brush_size', brush.value);
+    });
+}
+
+//clearing the sketchpad
+//on click of clear button it fills backg with black color
+
+function clearCanvas() {
+    strokes = [];
+    undone = [];
+    stroke = null;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    clearBoxes();
+    updateUndoButtons();
+    schedulePreview();
+}
+
+document.getElementById('clear_button').addEventListener("click", clearCanvas);
+
+//a number needs a wider canvas, and the 28x28 preview of a single
+//digit does not apply
+document.getElementById('multi_digit').addEventListener("change", function () {
+    var width = this.checked ? 800 : 400;
+    canvas.width = width;
+    document.getElementById('boxes').width = width;
+    document.querySelector('.preview_div').hidden = this.checked;
+    clearCanvas();
+});
+
+
+
+//loading the model
+
+//the base url of website in which our 
+//web app is deployed is obtained from window.location.origin
+//the json file is loaded using async function
+
+var base_url = window.location.origin;
+let model;
+//last prediction of the main model, for the feedback buttons
+var lastPrediction;
+//random id kept in this browser so the server can group our samples
+var clientId = localStorage.getItem('mnist_client_id');
+if (!clientId) {
+    clientId = Math.random().toString(36).slice(2);
+    localStorage.setItem('mnist_client_id', clientId);
+}
+(async function () {
+    // console.log("model loading...");
+    // model = await tf.loadLayersModel("model/model.json")
+    // console.log("model loaded..");
+    // this time we use ORACLE DB as backend, no need for tf model
+    // as in Prajakta Mane example
+})();
+
+//preprocessing model
+
+/*
+the digit sketched is cropped, scaled into a 20x20 box and centred
+by its centre of mass like the MNIST digits, with preprocess.js,
+the same code the server uses for uploaded pictures
+*/
+
+//models listed by the server, for their input sizes
+var models = [];
+
+function modelShape() {
+    var name = document.getElementById('model_select').value;
+    var found = models.find(function (m) { return m.name == name; });
+    return found || { width: 28, height: 28 };
+}
+
+function preprocessCanvas(image) {
+    var shape = modelShape();
+    var data = image.getContext('2d').getImageData(0, 0, image.width, image.height).data;
+    var gray = mnistPreprocess.toGrayscale(data, image.width, image.height);
+    var options = {};
+    if (document.getElementById('stroke_normalise').checked) {
+        options.strokeWidth = mnistPreprocess.STROKE_WIDTH;
+    }
+    var pixels = mnistPreprocess.preprocess(gray, image.width, image.height, shape, options);
+    drawPreview(pixels, shape);
+    return pixels;
+}
+
+//draws the image the model gets on the small preview canvas
+function drawPreview(pixels, shape) {
+    var preview = document.getElementById('preview');
+    preview.width = shape.width;
+    preview.height = shape.height;
+    var previewCtx = preview.getContext('2d');
+    var image = previewCtx.createImageData(shape.width, shape.height);
+    for (var i = 0; i < pixels.length; i++) {
+        image.data[4 * i] = image.data[4 * i + 1] = image.data[4 * i + 2] = pixels[i];
+        image.data[4 * i + 3] = 255;
+    }
+    previewCtx.putImageData(image, 0, 0);
+}
+
+//keeps the preview live while drawing, at most once per frame
+var previewPending = false;
+function schedulePreview() {
+    if (previewPending) {
+        return;
+    }
+    previewPending = true;
+    window.requestAnimationFrame(function () {
+        previewPending = false;
+        preprocessCanvas(canvas);
+    });
+}
+
+async function oraclePrecition(data, record) {
+    var pixels = Array.from(data);
+    var model = document.getElementById('model_select').value;
+    var compare = document.getElementById('compare_select').value;
+    document.getElementById('prediction_heading').textContent = model || "Prediction";
+    requestPrediction(pixels, model, "", record);
+    //compare mode: the same drawing through a second model, side by side
+    document.getElementById('compare_answer').hidden = !compare;
+    if (compare) {
+        document.getElementById('compare_prediction_heading').textContent = compare;
+        requestPrediction(pixels, compare, "compare_");
+    }
+}
+
+//asks the server for one model's prediction and shows it in the
+//elements whose ids start with prefix
+function requestPrediction(pixels, model, prefix, record) {
+    const http = new XMLHttpRequest();
+    http.open("POST", "api/predict", true);
+    http.setRequestHeader("Content-Type", "application/json");
+    http.setRequestHeader("X-Client-Id", clientId);
+    http.onload = async function () {
+        if (http.readyState == 4 && http.status == 200) {
+            var prediction = JSON.parse(http.responseText);
+            if (record) {
+                addHistory(pixels, prediction);
+            }
+            return showPrediction(prediction, prefix);
+        }
+        showRefusal(http);
+    }
+    //the model ranks every class, so we can see when it is unsure
+    http.send(JSON.stringify({ pixels: pixels, topK: 10, model: model || undefined }));
+}
+//server-side preprocessing: the canvas goes up as a PNG and the server
+//crops, scales and centres it the MNIST way
+function oracleImagePrediction(blob, record) {
+    var model = document.getElementById('model_select').value;
+    var compare = document.getElementById('compare_select').value;
+    document.getElementById('prediction_heading').textContent = model || "Prediction";
+    requestImagePrediction(blob, model, "", record);
+    document.getElementById('compare_answer').hidden = !compare;
+    if (compare) {
+        document.getElementById('compare_prediction_heading').textContent = compare;
+        requestImagePrediction(blob, compare, "compare_");
+    }
+}
+function requestImagePrediction(blob, model, prefix, record) {
+    const http = new XMLHttpRequest();
+    var url = "api/predict/image?topK=10" + (model ? "&model=" + encodeURIComponent(model) : "");
+    http.open("POST", url);
+    http.setRequestHeader("Content-Type", "image/png");
+    http.setRequestHeader("X-Client-Id", clientId);
+    http.onload = function () {
+        if (http.status == 200) {
+            var prediction = JSON.parse(http.responseText);
+            if (prefix == "") {
+                //show what the server made of the drawing
+                drawPreview(prediction.pixels, modelShape());
+            }
+            if (record) {
+                addHistory(prediction.pixels, prediction);
+            }
+            showPrediction(prediction, prefix);
+        } else {
+            showRefusal(http);
+        }
+    }
+    http.send(blob);
+}
+//shows why the server turned a request down, such as a 429 when the page
+//sent too many or a 503 when the server is busy, or hides the message when
+//text is null
+function showServerStatus(text) {
+    var status = document.getElementById('server_status');
+    status.textContent = text || "";
+    status.hidden = !text;
+}
+
+function showRefusal(http) {
+    var text = "The server answered " + http.status;
+    try {
+        text = JSON.parse(http.responseText).error || text;
+    } catch (err) {
+        //not JSON, keep the status
+    }
+    showServerStatus(text);
+}
+
+function showPrediction(prediction, prefix) {
+    showServerStatus(null);
+    displayLabel(prediction.value, prefix);
+    displayProbabilities(prediction.top, prefix);
+    if (prefix == "") {
+        lastPrediction = prediction;
+        showFeedback();
+    }
+    return prediction.value;
+}
+
+//live prediction: while the user draws, snapshots go to the server over
+//a WebSocket (see src/live.js) and the answers update the page.  Each
+//snapshot counts against the rate limit of the page, and one every
+//LIVE_INTERVAL_MS stays below the default anonymous limit of 300 a minute.
+var LIVE_INTERVAL_MS = 250;
+var liveSocket = null;
+var liveTimer = null;
+var liveSeq = 0;
+//in compare mode the snapshots go to the two models in turn
+var liveCompareTurn = false;
+//answers up to this seq are for an older drawing
+var liveIgnoreUpTo = 0;
+
+function connectLive() {
+    var url = new URL("api/live", window.location.href);
+    url.protocol = url.protocol == "https:" ? "wss:" : "ws:";
+    var socket = new WebSocket(url);
+    socket.onopen = function () {
+        liveSocket = socket;
+    };
+    socket.onmessage = function (event) {
+        showLivePrediction(JSON.parse(event.data));
+    };
+    //try again later, the page still works without it
+    socket.onclose = function () {
+        liveSocket = null;
+        setTimeout(connectLive, 5000);
+    };
+}
+
+//sends the drawing at most every LIVE_INTERVAL_MS while drawing
+function scheduleLive() {
+    if (liveTimer || !liveSocket || !document.getElementById('live_predict').checked ||
+        document.getElementById('server_preprocess').checked ||
+        document.getElementById('multi_digit').checked) {
+        return;
+    }
+    liveTimer = setTimeout(function () {
+        liveTimer = null;
+        sendLive(preprocessCanvas(canvas));
+    }, LIVE_INTERVAL_MS);
+}
+
+function sendLive(pixels) {
+    if (!liveSocket) {
+        return;
+    }
+    liveSeq++;
+    var model = document.getElementById('model_select').value;
+    var compare = document.getElementById('compare_select').value;
+    liveCompareTurn = compare && compare != model && !liveCompareTurn;
+    liveSocket.send(JSON.stringify({ seq: liveSeq, pixels: Array.from(pixels), topK: 10,
+        model: (liveCompareTurn ? compare : model) || undefined }));
+}
+
+//stops the snapshots, the prediction of the finished drawing follows
+function stopLive() {
+    clearTimeout(liveTimer);
+    liveTimer = null;
+    liveIgnoreUpTo = liveSeq;
+}
+
+function showLivePrediction(prediction) {
+    if (prediction.seq <= liveIgnoreUpTo) {
+        return;
+    }
+    if (prediction.error) {
+        showServerStatus(prediction.error);
+        return;
+    }
+    showServerStatus(null);
+    var model = document.getElementById('model_select').value;
+    var compare = document.getElementById('compare_select').value;
+    if (!model || prediction.model == model) {
+        //no feedback until the drawing is finished and stored
+        document.getElementById('feedback').hidden = true;
+        displayLabel(prediction.value, "");
+        displayProbabilities(prediction.top, "");
+    }
+    if (compare && prediction.model == compare) {
+        document.getElementById('compare_answer').hidden = false;
+        document.getElementById('compare_prediction_heading').textContent = compare;
+        displayLabel(prediction.value, "compare_");
+        displayProbabilities(prediction.top, "compare_");
+    }
+}
+
+//several digits: the drawing goes up as a PNG, the server splits it into
+//digits (segmentDigits in preprocess.js) and predicts each one, and the
+//boxes it found are drawn over the drawing
+function requestNumberPrediction(blob) {
+    var model = document.getElementById('model_select').value;
+    const http = new XMLHttpRequest();
+    var url = "api/predict/number" + (model ? "?model=" + encodeURIComponent(model) : "");
+    http.open("POST", url);
+    http.setRequestHeader("Content-Type", "image/png");
+    http.setRequestHeader("X-Client-Id", clientId);
+    http.onload = function () {
+        if (http.status == 200) {
+            showServerStatus(null);
+            showNumber(JSON.parse(http.responseText));
+        } else {
+            showRefusal(http);
+        }
+    }
+    http.send(blob);
+}
+
+function showNumber(number) {
+    document.getElementById('prediction_heading').textContent = number.model;
+    document.getElementById('result').textContent = number.text || "-";
+    document.getElementById('floatValue').textContent = "Confidence: " +
+        number.digits.map(function (d) {
+            return d.confidence == null ? "-" : (100 * d.confidence).toFixed(0) + "%";
+        }).join(" ");
+    document.getElementById('probabilities').innerHTML = "";
+    document.getElementById('feedback').hidden = true;
+    document.getElementById('compare_answer').hidden = true;
+    drawBoxes(number.digits);
+}
+
+function drawBoxes(digits) {
+    var boxes = document.getElementById('boxes');
+    var boxesCtx = boxes.getContext('2d');
+    clearBoxes();
+    boxesCtx.strokeStyle = boxesCtx.fillStyle = "#28a745";
+    boxesCtx.lineWidth = 2;
+    boxesCtx.font = "20px monospace";
+    digits.forEach(function (d) {
+        boxesCtx.strokeRect(d.box.left, d.box.top, d.box.width, d.box.height);
+        boxesCtx.fillText(d.label, d.box.left + 4, d.box.top + 20);
+    });
+}
+
+function clearBoxes() {
+    var boxes = document.getElementById('boxes');
+    boxes.getContext('2d').clearRect(0, 0, boxes.width, boxes.height);
+}
+
+//explain: the server hides one small square of the image at a time and
+//reports how much each pixel mattered to the prediction (see
+//src/explain.js).  The grid is drawn over the drawing, red where the
+//pixels argued for the prediction and blue where they argued against it.
+function explainCanvas() {
+    stopLive();
+    var shape = modelShape();
+    var data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    var gray = mnistPreprocess.toGrayscale(data, canvas.width, canvas.height);
+    var options = {};
+    if (document.getElementById('stroke_normalise').checked) {
+        options.strokeWidth = mnistPreprocess.STROKE_WIDTH;
+    }
+    //the placement says where each model pixel came from on the canvas
+    var placed = mnistPreprocess.preprocessPlaced(gray, canvas.width, canvas.height, shape, options);
+    drawPreview(placed.pixels, shape);
+    var model = document.getElementById('model_select').value;
+    const http = new XMLHttpRequest();
+    http.open("POST", "api/explain");
+    http.setRequestHeader("Content-Type", "application/json");
+    http.setRequestHeader("X-Client-Id", clientId);
+    http.onload = function () {
+        if (http.status == 200) {
+            var explanation = JSON.parse(http.responseText);
+            showServerStatus(null);
+            document.getElementById('prediction_heading').textContent = explanation.model;
+            displayLabel(explanation.value, "");
+            drawHeatmap(explanation.grid, placed.placement);
+        } else {
+            showRefusal(http);
+        }
+    }
+    http.send(JSON.stringify({ pixels: Array.from(placed.pixels), model: model || undefined }));
+}
+
+function drawHeatmap(grid, placement) {
+    var boxes = document.getElementById('boxes');
+    var boxesCtx = boxes.getContext('2d');
+    clearBoxes();
+    var most = 0;
+    grid.forEach(function (row) {
+        row.forEach(function (v) { most = Math.max(most, Math.abs(v)); });
+    });
+    if (most == 0) {
+        return;
+    }
+    var size = 1 / placement.scale;
+    grid.forEach(function (row, j) {
+        row.forEach(function (v, i) {
+            if (v == 0) {
+                return;
+            }
+            var color = v > 0 ? "220, 53, 69" : "0, 123, 255";
+            boxesCtx.fillStyle = "rgba(" + color + ", " + (0.7 * Math.abs(v) / most).toFixed(3) + ")";
+            boxesCtx.fillRect(placement.x + i * size, placement.y + j * size, size, size);
+        });
+    });
+}
+
+document.getElementById('explain_button').addEventListener("click", explainCanvas);
+
+//"Was this right?" controls: they send the true label of the last
+//prediction back, so it becomes a labelled sample on the server
+function showFeedback() {
+    document.getElementById('feedback').hidden = lastPrediction.sampleId == null;
+    document.getElementById('feedback_question').innerHTML = "Was this right?";
+    document.getElementById('feedback_correction').hidden = true;
+    document.getElementById('feedback_label').value = "";
+}
+
+function sendFeedback(label) {
+    const http = new XMLHttpRequest();
+    http.open("POST", "api/samples/" + lastPrediction.sampleId + "/feedback", true);
+    http.setRequestHeader("Content-Type", "application/json");
+    //the server only takes feedback on samples of the same client id
+    http.setRequestHeader("X-Client-Id", clientId);
+    var entry = lastPrediction.entry;
+    http.onload = function () {
+        document.getElementById('feedback_question').innerHTML =
+            http.status == 200 ? "Thanks!" : "Could not send feedback";
+        document.getElementById('feedback_correction').hidden = true;
+        if (http.status == 200 && entry) {
+            //the history exports the true label from now on
+            entry.label = label;
+            saveHistory();
+            renderHistory();
+        }
+    }
+    http.send(JSON.stringify({ label: label }));
+}
+
+document.getElementById('feedback_yes').addEventListener("click", function () {
+    sendFeedback(lastPrediction.label);
+});
+
+document.getElementById('feedback_no').addEventListener("click", function () {
+    document.getElementById('feedback_question').innerHTML = "What is the correct label?";
+    document.getElementById('feedback_correction').hidden = false;
+    document.getElementById('feedback_label').focus();
+});
+
+document.getElementById('feedback_send').addEventListener("click", function () {
+    var label = document.getElementById('feedback_label').value.trim();
+    if (label) {
+        sendFeedback(label);
+    }
+});
+
+//history: the last predicted drawings with the image the model saw, kept
+//in this browser and shown as a gallery.  It exports as CSV (label, then
+//the pixels, as src/evaluate.js --csv reads) or JSON, with the true label
+//when feedback gave one and the predicted label otherwise.
+var MAX_HISTORY = 50;
+var historyEntries = [];
+
+function loadHistory() {
+    try {
+        historyEntries = JSON.parse(localStorage.getItem('mnist_history')) || [];
+    } catch (err) {
+        historyEntries = [];
+    }
+    renderHistory();
+}
+
+function saveHistory() {
+    try {
+        localStorage.setItem('mnist_history', JSON.stringify(historyEntries));
+    } catch (err) {
+        //storage full: keep the newer half, or only this session's when even
+        //that does not fit
+        historyEntries = historyEntries.slice(0, Math.floor(historyEntries.length / 2));
+        try {
+            localStorage.setItem('mnist_history', JSON.stringify(historyEntries));
+        } catch (err) {
+            localStorage.removeItem('mnist_history');
+        }
+    }
+}
+
+function addHistory(pixels, prediction) {
+    var shape = modelShape();
+    var entry = {
+        time: new Date().toISOString(),
+        model: prediction.model,
+        predicted: prediction.label,
+        label: null,
+        confidence: prediction.top && prediction.top.length > 0 ? prediction.top[0].probability : null,
+        width: shape.width,
+        height: shape.height,
+        pixels: Array.from(pixels)
+    };
+    prediction.entry = entry;
+    historyEntries.unshift(entry);
+    historyEntries = historyEntries.slice(0, MAX_HISTORY);
+    saveHistory();
+    renderHistory();
+}
+
+function renderHistory() {
+    var list = document.getElementById('history_list');
+    list.innerHTML = "";
+    historyEntries.forEach(function (entry) {
+        var item = document.createElement("div");
+        item.className = "history_item";
+        var thumbnail = document.createElement("canvas");
+        thumbnail.width = entry.width;
+        thumbnail.height = entry.height;
+        var thumbnailCtx = thumbnail.getContext('2d');
+        var image = thumbnailCtx.createImageData(entry.width, entry.height);
+        for (var i = 0; i < entry.pixels.length; i++) {
+            image.data[4 * i] = image.data[4 * i + 1] = image.data[4 * i + 2] = entry.pixels[i];
+            image.data[4 * i + 3] = 255;
+        }
+        thumbnailCtx.putImageData(image, 0, 0);
+        var text = document.createElement("span");
+        text.textContent = entry.predicted +
+            (entry.confidence == null ? "" : " (" + (100 * entry.confidence).toFixed(0) + "%)") +
+            (entry.label != null && String(entry.label) != String(entry.predicted) ? ", was " + entry.label : "");
+        text.title = entry.model + ", " + new Date(entry.time).toLocaleString();
+        item.appendChild(thumbnail);
+        item.appendChild(text);
+        list.appendChild(item);
+    });
+    document.getElementById('history_empty').hidden = historyEntries.length > 0;
+}
+
+function historyLabel(entry) {
+    return entry.label != null ? entry.label : entry.predicted;
+}
+
+function download(name, type, text) {
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([text], { type: type }));
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () { URL.revokeObjectURL(link.href); }, 1000);
+}
+
+function exportCsv() {
+    //oldest first, like a dataset
+    var rows = historyEntries.slice().reverse();
+    var size = rows.length > 0 ? rows[0].pixels.length : 784;
+    var header = ["label"];
+    for (var i = 0; i < size; i++) {
+        header.push("pixel" + i);
+    }
+    var lines = [header.join(",")];
+    rows.forEach(function (entry) {
+        lines.push([historyLabel(entry)].concat(entry.pixels).join(","));
+    });
+    download("mnist_history.csv", "text/csv", lines.join("\n") + "\n");
+}
+
+function exportJson() {
+    var rows = historyEntries.slice().reverse().map(function (entry) {
+        return {
+            label: historyLabel(entry),
+            predicted: entry.predicted,
+            confidence: entry.confidence,
+            model: entry.model,
+            time: entry.time,
+            width: entry.width,
+            height: entry.height,
+            pixels: entry.pixels
+        };
+    });
+    download("mnist_history.json", "application/json", JSON.stringify(rows, null, 1) + "\n");
+}
+
+document.getElementById('export_csv').addEventListener("click", exportCsv);
+document.getElementById('export_json').addEventListener("click", exportJson);
+document.getElementById('clear_history').addEventListener("click", function () {
+    historyEntries = [];
+    saveHistory();
+    renderHistory();
+});
+
+//fills the model dropdowns from the models the server offers
+function loadModels() {
+    const http = new XMLHttpRequest();
+    http.open("GET", "api/models", true);
+    http.onload = function () {
+        if (http.status != 200) {
+            return;
+        }
+        var list = JSON.parse(http.responseText);
+        var select = document.getElementById('model_select');
+        var compare = document.getElementById('compare_select');
+        models = list.models;
+        list.models.forEach(function (model) {
+            select.add(new Option(model.name, model.name, false, model.name == list.default));
+            compare.add(new Option(model.name, model.name));
+        });
+    }
+    http.send(null);
+}
+
+//Prediction
+//canvas.toDataURL() : returns 
+//image in format specified default png
+//than send to preprocess function
+//await makes program wait until mmodel prediction
+//displayLabel to display result
+//only the prediction of a finished stroke (record true) goes into the
+//history, not the ones after undo, redo or the Predict button
+async function predictCanvas(record) {
+    record = record === true;
+    stopLive();
+    if (document.getElementById('multi_digit').checked) {
+        canvas.toBlob(requestNumberPrediction, "image/png");
+        return;
+    }
+    if (document.getElementById('server_preprocess').checked) {
+        canvas.toBlob(function (blob) {
+            oracleImagePrediction(blob, record);
+        }, "image/png");
+        return;
+    }
+    const predictions = await oraclePrecition(preprocessCanvas(canvas), record);
+}
+
+document.getElementById('predict_button').addEventListener("click", predictCanvas);
+
+//output
+async function displayLabel(data, prefix = "") {
+    data = Number(data);
+    document.getElementById(prefix + 'result').innerHTML = data.toFixed(0);
+    document.getElementById(prefix + 'floatValue').innerHTML = "Float value: " + (data).toFixed(2);
+}
+
+//ranked bar chart of the class probabilities, most probable first
+function displayProbabilities(classes, prefix = "") {
+    var chart = document.getElementById(prefix + 'probabilities');
+    chart.innerHTML = "";
+    classes.forEach(function (c) {
+        var percent = (100 * c.probability).toFixed(1) + "%";
+        var row = document.createElement("div");
+        row.className = "prob_row";
+        var label = document.createElement("span");
+        label.className = "prob_label";
+        label.textContent = c.label;
+        var bar = document.createElement("span");
+        bar.className = "prob_bar";
+        bar.style.width = (170 * c.probability) + "px";
+        var value = document.createElement("span");
+        value.className = "prob_value";
+        value.textContent = percent;
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(value);
+        chart.appendChild(row);
+    });
+}
+
+
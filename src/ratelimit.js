@@ -0,0 +1,83 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   ratelimit.js
+ *
+ * DESCRIPTION
+ *   Token bucket rate limits per client.  Each client has a bucket of up to
+ *   "burst" tokens that refills at "perMinute" tokens a minute, and every
+ *   request takes one token.  A client can send a burst of requests at once
+ *   and then perMinute requests a minute.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+// Most clients tracked.  The bucket used longest ago is forgotten first,
+// which at worst gives that client a full bucket again.
+const MAX_CLIENTS = 100000;
+
+// Returns a limiter whose take(client) spends a token of the client's
+// bucket.  take() returns 0 when there was one, or else the seconds until
+// there is.  A perMinute of 0 means no limit.
+function createRateLimiter(perMinute, burst) {
+  // client -> {tokens, time}, least recently used first
+  const buckets = new Map();
+
+  function take(client, now = Date.now()) {
+    if (perMinute === 0) {
+      return 0;
+    }
+    let bucket = buckets.get(client);
+    if (bucket) {
+      buckets.delete(client);
+      bucket.tokens = Math.min(burst,
+        bucket.tokens + (now - bucket.time) * perMinute / 60000);
+      bucket.time = now;
+    } else {
+      bucket = { tokens: burst, time: now };
+      if (buckets.size >= MAX_CLIENTS) {
+        buckets.delete(buckets.keys().next().value);
+      }
+    }
+    buckets.set(client, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) * 60 / perMinute);
+  }
+
+  return {
+    take: take,
+    // Number of clients tracked
+    size: () => buckets.size,
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,380 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   robustness.js
+ *
+ * DESCRIPTION
+ *   Measures how sensitive a model is to sloppy drawings.  Every reference
+ *   digit is shifted, rotated, scaled, thickened, thinned, blurred with
+ *   Gaussian noise and inverted, each at growing magnitudes, and the
+ *   variants go through the same prediction path as evaluate.js.  Prints,
+ *   per transform and magnitude, how many predictions changed from the one
+ *   of the clean digit and the accuracy, and the magnitude at which the
+ *   label of half the digits has changed.
+ *
+ *     node src/robustness.js --fixtures test_back_MNIST.sh --json robust.json
+ *
+ *   Options:
+ *     --fixtures FILE    the digits of a test script like test_back_MNIST.sh
+ *     --images FILE      IDX images file (.gz is fine)
+ *     --labels FILE      IDX labels file (.gz is fine)
+ *     --csv FILE         CSV file of label,pixel,... instead of IDX files
+ *     --limit N          only use the first N digits
+ *     --transforms LIST  comma separated transforms to run (default: all)
+ *     --seed N           seed of the Gaussian noise (default 1)
+ *     --concurrency N    predictions in flight at once (default 4)
+ *     --model NAME       model to test (default: the default model)
+ *     --url URL          use the server at URL instead of the backend
+ *     --api-key KEY      API key for --url, see auth.js
+ *     --json FILE        write the report as JSON
+ *
+ *   Without a dataset option the digits of test_back_MNIST.sh are used.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadDataset } = require('./dataset.js');
+const { parseArgs, openPredictor, runPool, pad, percent } =
+  require('./tools.js');
+
+const OPTIONS = {
+  fixtures: 'string',
+  images: 'string',
+  labels: 'string',
+  csv: 'string',
+  limit: 'number',
+  transforms: 'string',
+  seed: 'number',
+  concurrency: 'number',
+  model: 'string',
+  url: 'string',
+  'api-key': 'string',
+  json: 'string',
+};
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'test_back_MNIST.sh');
+
+// Returns the pixel at (x, y), interpolated between its neighbours.
+// Outside the image is black.
+function sample(image, shape, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  let value = 0;
+  for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+    const px = x0 + dx;
+    const py = y0 + dy;
+    if (px >= 0 && py >= 0 && px < shape.width && py < shape.height) {
+      value += image[py * shape.width + px] *
+        (1 - Math.abs(x - px)) * (1 - Math.abs(y - py));
+    }
+  }
+  return value;
+}
+
+function shift(image, shape, dx, dy) {
+  const out = new Array(image.length).fill(0);
+  for (let y = 0; y < shape.height; y++) {
+    for (let x = 0; x < shape.width; x++) {
+      const sx = x - dx;
+      const sy = y - dy;
+      if (sx >= 0 && sy >= 0 && sx < shape.width && sy < shape.height) {
+        out[y * shape.width + x] = image[sy * shape.width + sx];
+      }
+    }
+  }
+  return out;
+}
+
+// Rotates the image by degrees clockwise and scales it by factor, both
+// about the centre of the image
+function transform(image, shape, degrees, factor) {
+  const angle = degrees * Math.PI / 180;
+  const cos = Math.cos(angle) / factor;
+  const sin = Math.sin(angle) / factor;
+  const cx = (shape.width - 1) / 2;
+  const cy = (shape.height - 1) / 2;
+  const out = new Array(image.length);
+  for (let y = 0; y < shape.height; y++) {
+    for (let x = 0; x < shape.width; x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      out[y * shape.width + x] = Math.round(sample(image, shape,
+        cx + cos * dx + sin * dy, cy - sin * dx + cos * dy));
+    }
+  }
+  return out;
+}
+
+// Thickens (pick Math.max) or thins (Math.min) the strokes by radius
+// pixels, one 3x3 neighbourhood at a time
+function morph(image, shape, radius, pick) {
+  let current = image;
+  for (let r = 0; r < radius; r++) {
+    const next = new Array(image.length);
+    for (let y = 0; y < shape.height; y++) {
+      for (let x = 0; x < shape.width; x++) {
+        let value = current[y * shape.width + x];
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const px = x + dx;
+            const py = y + dy;
+            const neighbour = px >= 0 && py >= 0 && px < shape.width &&
+              py < shape.height ? current[py * shape.width + px] : 0;
+            value = pick(value, neighbour);
+          }
+        }
+        next[y * shape.width + x] = value;
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Returns a random number generator of numbers in [0, 1), the same for the
+// same seed (mulberry32)
+function randomOf(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Adds Gaussian noise of standard deviation sigma to every pixel
+function noise(image, sigma, random) {
+  return image.map((value) => {
+    const gauss = Math.sqrt(-2 * Math.log(1 - random())) *
+      Math.cos(2 * Math.PI * random());
+    return Math.min(255, Math.max(0, Math.round(value + sigma * gauss)));
+  });
+}
+
+// The transforms, each with its magnitudes from mild to severe.
+// apply(image, shape, magnitude, random) returns the variant.
+const TRANSFORMS = [
+  { name: 'shift-right', unit: 'px', magnitudes: [1, 2, 3, 4, 5, 6],
+    apply: (image, shape, m) => shift(image, shape, m, 0) },
+  { name: 'shift-left', unit: 'px', magnitudes: [1, 2, 3, 4, 5, 6],
+    apply: (image, shape, m) => shift(image, shape, -m, 0) },
+  { name: 'shift-down', unit: 'px', magnitudes: [1, 2, 3, 4, 5, 6],
+    apply: (image, shape, m) => shift(image, shape, 0, m) },
+  { name: 'shift-up', unit: 'px', magnitudes: [1, 2, 3, 4, 5, 6],
+    apply: (image, shape, m) => shift(image, shape, 0, -m) },
+  { name: 'rotate-cw', unit: 'deg', magnitudes: [5, 10, 15, 20, 30, 45],
+    apply: (image, shape, m) => transform(image, shape, m, 1) },
+  { name: 'rotate-ccw', unit: 'deg', magnitudes: [5, 10, 15, 20, 30, 45],
+    apply: (image, shape, m) => transform(image, shape, -m, 1) },
+  { name: 'scale-up', unit: 'x', magnitudes: [1.1, 1.2, 1.3, 1.5, 1.75],
+    apply: (image, shape, m) => transform(image, shape, 0, m) },
+  { name: 'scale-down', unit: 'x', magnitudes: [0.9, 0.8, 0.7, 0.6, 0.5],
+    apply: (image, shape, m) => transform(image, shape, 0, m) },
+  { name: 'thicken', unit: 'px', magnitudes: [1, 2, 3],
+    apply: (image, shape, m) => morph(image, shape, m, Math.max) },
+  { name: 'thin', unit: 'px', magnitudes: [1, 2],
+    apply: (image, shape, m) => morph(image, shape, m, Math.min) },
+  { name: 'noise', unit: 'sigma', magnitudes: [16, 32, 64, 96, 128],
+    apply: (image, shape, m, random) => noise(image, m, random) },
+  { name: 'invert', unit: '', magnitudes: [1],
+    apply: (image) => image.map((value) => 255 - value) },
+];
+
+// Returns the transforms named in a comma separated list, or all of them
+function selectTransforms(list) {
+  if (!list) {
+    return TRANSFORMS;
+  }
+  return list.split(',').map((name) => {
+    const found = TRANSFORMS.find((t) => t.name === name.trim());
+    if (!found) {
+      throw new Error('Unknown transform ' + name + ', choose from ' +
+        TRANSFORMS.map((t) => t.name).join(', '));
+    }
+    return found;
+  });
+}
+
+// Predicts one digit and all its variants.  Returns {index, label,
+// reference, predicted}, reference being the label predicted for the clean
+// digit and predicted[t][m] the one for magnitude m of transform t.
+async function testDigit(pixels, index, label, shape, transforms, seed,
+  predictLabel) {
+  const random = randomOf(seed + index);
+  const result = { index: index, label: label };
+  result.reference = await predictLabel(pixels);
+  result.predicted = [];
+  for (const t of transforms) {
+    const labels = [];
+    for (const m of t.magnitudes) {
+      labels.push(await predictLabel(t.apply(pixels, shape, m, random)));
+    }
+    result.predicted.push(labels);
+  }
+  return result;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+// Returns, per transform, the share of changed predictions and the accuracy
+// at each magnitude, and the magnitude at which each digit first changed
+// (null if it never did)
+function summarize(cases, transforms) {
+  const scored = cases.filter((c) => c.error === undefined);
+  return transforms.map((t, i) => {
+    const flipAt = scored.map((c) => {
+      const first = c.predicted[i].findIndex((p) => p !== c.reference);
+      return first < 0 ? null : t.magnitudes[first];
+    });
+    // the magnitude at which half the digits have changed, if any does
+    const steps = scored.map((c) => {
+      const first = c.predicted[i].findIndex((p) => p !== c.reference);
+      return first < 0 ? Infinity : first;
+    });
+    const half = scored.length ? median(steps) : Infinity;
+    return {
+      name: t.name,
+      unit: t.unit,
+      magnitudes: t.magnitudes.map((m, j) => ({
+        magnitude: m,
+        changed: scored.length ? scored.filter((c) =>
+          c.predicted[i][j] !== c.reference).length / scored.length : 0,
+        accuracy: scored.length ? scored.filter((c) =>
+          c.predicted[i][j] === c.label).length / scored.length : 0
+      })),
+      medianFlip: half === Infinity ? null : t.magnitudes[half],
+      neverChanged: flipAt.filter((m) => m === null).length,
+      flipAt: flipAt
+    };
+  });
+}
+
+function magnitudeText(value, unit) {
+  return value === null ? '-' : (value + ' ' + unit).trim();
+}
+
+// Prints the report as text tables
+function printReport(report) {
+  console.log('');
+  console.log('Model:     ' + report.model);
+  console.log('Digits:    ' + report.digits + ' (' + report.errors +
+    ' errors)');
+  console.log('Time:      ' + (report.elapsedMs / 1000).toFixed(1) + ' s, ' +
+    report.predictions + ' predictions');
+  console.log('Accuracy:  ' + percent(report.accuracy) + ' on the clean ' +
+    'digits');
+
+  console.log('');
+  console.log('transform     magnitude    changed   accuracy');
+  for (const t of report.transforms) {
+    for (const m of t.magnitudes) {
+      console.log(t.name.padEnd(12) +
+        pad(magnitudeText(m.magnitude, t.unit), 11) +
+        pad(percent(m.changed), 11) + pad(percent(m.accuracy), 11));
+    }
+  }
+
+  console.log('');
+  console.log('Where the labels change (median over the digits, "-" when ' +
+    'most never change)');
+  console.log('transform        median  never changed');
+  for (const t of report.transforms) {
+    console.log(t.name.padEnd(12) +
+      pad(magnitudeText(t.medianFlip, t.unit), 11) +
+      pad(t.neverChanged, 15));
+  }
+
+  for (const c of report.failures) {
+    console.log('Digit ' + c.index + ' failed: ' + c.error);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), OPTIONS,
+    { concurrency: 4, seed: 1 });
+  if (!args.csv && !args.images && !args.labels && !args.fixtures) {
+    args.fixtures = DEFAULT_FIXTURES;
+  }
+  const transforms = selectTransforms(args.transforms);
+  const dataset = loadDataset(args, args.limit);
+  console.log('Loaded ' + dataset.images.length + ' digits (' +
+    dataset.width + 'x' + dataset.height + ')');
+
+  const predictor = await openPredictor(args, dataset);
+  const shape = { width: dataset.width, height: dataset.height };
+  const cases = [];
+  const start = process.hrtime.bigint();
+  try {
+    await runPool(dataset.images, args.concurrency, async (pixels, index) => {
+      try {
+        cases[index] = await testDigit(pixels, index, dataset.labels[index],
+          shape, transforms, args.seed, predictor.predictLabel);
+      } catch (err) {
+        cases[index] = { index: index, error: err.message };
+      }
+      if ((index + 1) % 100 === 0) {
+        console.error('... ' + (index + 1) + ' digits');
+      }
+    });
+  } finally {
+    await predictor.close();
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  const scored = cases.filter((c) => c.error === undefined);
+  const variants = transforms.reduce((n, t) => n + t.magnitudes.length, 0);
+  const report = {
+    model: predictor.model,
+    date: new Date().toISOString(),
+    elapsedMs: elapsedMs,
+    digits: cases.length,
+    errors: cases.length - scored.length,
+    predictions: cases.length * (variants + 1),
+    seed: args.seed,
+    accuracy: scored.length ? scored.filter((c) =>
+      c.reference === c.label).length / scored.length : 0,
+    transforms: summarize(cases, transforms),
+    failures: cases.filter((c) => c.error !== undefined).slice(0, 10)
+  };
+  printReport(report);
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + '\n');
+    console.log('Wrote ' + args.json);
+  }
+}
+
+main().catch((err) => {
+  console.error('robustness: ' + err.message);
+  process.exit(1);
+});
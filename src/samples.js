@@ -0,0 +1,325 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   samples.js
+ *
+ * DESCRIPTION
+ *   Keeps every prediction as a sample: the pixels, the predicted label, the
+ *   model, the time and the client.  Users can then send the true label
+ *   back, which turns the samples into a labelled dataset to retrain the
+ *   models from.
+ *
+ *   The store is chosen with the samples setting (MNIST_SAMPLES):
+ *     "oracle"  the MNIST_SAMPLES table, see sql/samples.sql.  This is the
+ *               default with the oracle backend.
+ *     "memory"  the last MAX_MEMORY_SAMPLES samples in this process.  This is
+ *               the default with the local backend.
+ *     "off"     samples are not kept.
+ *
+ *   Pixels are stored as a JSON array of integers 0-255, as in MNIST.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const cluster = require('cluster');
+const { InputError } = require('./pixels.js');
+
+const MAX_MEMORY_SAMPLES = 10000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Each worker numbers its memory samples from its worker id times this, so
+// no two workers hand out the same sample id
+const WORKER_ID_STEP = 1e9;
+
+// Returns the row to store for one prediction
+function toSample(pixels, label, model, clientId) {
+  return {
+    model: model.name,
+    clientId: clientId ? String(clientId).slice(0, 128) : null,
+    predictedLabel: String(label),
+    width: model.width,
+    height: model.height,
+    pixels: JSON.stringify(pixels.map((value) => Math.round(Number(value))))
+  };
+}
+
+// Checks the filters of GET /api/samples
+function parseFilters(params) {
+  const filters = {
+    model: params.get('model') || undefined,
+    label: params.get('label') || undefined,
+    trueLabel: params.get('trueLabel') || undefined,
+    clientId: params.get('clientId') || undefined,
+    labelled: undefined,
+    since: undefined,
+    until: undefined,
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+    pixels: params.get('pixels') === 'true'
+  };
+
+  const labelled = params.get('labelled');
+  if (labelled) {
+    if (labelled !== 'true' && labelled !== 'false') {
+      throw new InputError('labelled must be true or false');
+    }
+    filters.labelled = labelled === 'true';
+  }
+  for (const key of ['since', 'until']) {
+    if (params.get(key)) {
+      filters[key] = new Date(params.get(key));
+      if (isNaN(filters[key])) {
+        throw new InputError(key + ' must be a date');
+      }
+    }
+  }
+  for (const key of ['limit', 'offset']) {
+    if (params.get(key)) {
+      filters[key] = Number(params.get(key));
+      if (!Number.isInteger(filters[key]) || filters[key] < 0) {
+        throw new InputError(key + ' must be a non-negative integer');
+      }
+    }
+  }
+  if (filters.limit > MAX_PAGE_SIZE) {
+    throw new InputError('limit must be at most ' + MAX_PAGE_SIZE);
+  }
+  return filters;
+}
+
+// Sample store kept in the MNIST_SAMPLES table.  Each method takes the
+// trace of the request last, which tags the session like the backend does.
+function createOracleStore() {
+  const oracledb = require('oracledb');
+  const { getConnection } = require('./backends/oracle.js');
+
+  // Adds the samples and resolves to their ids
+  async function save(samples, trace = {}) {
+    let connection;
+    try {
+      connection = await getConnection(
+        Object.assign({ action: 'samples save' }, trace));
+      const result = await connection.executeMany(
+        `INSERT INTO mnist_samples
+           (model_name, client_id, predicted_label, width, height, pixels)
+         VALUES (:model, :clientId, :predictedLabel, :width, :height, :pixels)
+         RETURNING id INTO :id`,
+        samples,
+        {
+          autoCommit: true,
+          bindDefs: {
+            model: { type: oracledb.STRING, maxSize: 128 },
+            clientId: { type: oracledb.STRING, maxSize: 128 },
+            predictedLabel: { type: oracledb.STRING, maxSize: 64 },
+            width: { type: oracledb.NUMBER },
+            height: { type: oracledb.NUMBER },
+            pixels: { type: oracledb.STRING, maxSize: 32767 },
+            id: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+          }
+        });
+      return result.outBinds.map((out) => out.id[0]);
+    } finally {
+      if (connection) {
+        await connection.close();
+      }
+    }
+  }
+
+  // Sets the true label of a sample, resolves to false if there is none.
+  // When clientId is given, only a sample of that client is labelled.
+  async function label(id, trueLabel, clientId, trace = {}) {
+    const binds = { id: id, trueLabel: String(trueLabel) };
+    if (clientId !== undefined) {
+      binds.clientId = clientId;
+    }
+    let connection;
+    try {
+      connection = await getConnection(
+        Object.assign({ action: 'samples label' }, trace));
+      const result = await connection.execute(
+        `UPDATE mnist_samples
+            SET true_label = :trueLabel, labelled_at = SYSTIMESTAMP
+          WHERE id = :id
+          ${clientId !== undefined ? 'AND client_id = :clientId' : ''}`,
+        binds,
+        { autoCommit: true });
+      return result.rowsAffected === 1;
+    } finally {
+      if (connection) {
+        await connection.close();
+      }
+    }
+  }
+
+  // Resolves to one page of samples, newest first
+  async function list(filters, trace = {}) {
+    const where = [];
+    const binds = {};
+    const conditions = {
+      model: 'model_name = :model',
+      label: 'predicted_label = :label',
+      trueLabel: 'true_label = :trueLabel',
+      clientId: 'client_id = :clientId',
+      since: 'created_at >= :since',
+      until: 'created_at < :until'
+    };
+    for (const key of Object.keys(conditions)) {
+      if (filters[key] !== undefined) {
+        where.push(conditions[key]);
+        binds[key] = filters[key];
+      }
+    }
+    if (filters.labelled !== undefined) {
+      where.push(filters.labelled ? 'true_label IS NOT NULL' :
+        'true_label IS NULL');
+    }
+    binds.offset = filters.offset;
+    binds.limit = filters.limit;
+
+    let connection;
+    try {
+      connection = await getConnection(
+        Object.assign({ action: 'samples list' }, trace));
+      const result = await connection.execute(
+        `SELECT id, created_at, model_name, client_id, predicted_label,
+                true_label, width, height
+                ${filters.pixels ? ', pixels' : ''}
+           FROM mnist_samples
+          ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+          ORDER BY id DESC
+         OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+        binds,
+        {
+          outFormat: oracledb.OUT_FORMAT_OBJECT,
+          fetchInfo: { PIXELS: { type: oracledb.STRING } }
+        });
+      return result.rows.map((row) => ({
+        id: row.ID,
+        createdAt: row.CREATED_AT,
+        model: row.MODEL_NAME,
+        clientId: row.CLIENT_ID,
+        predictedLabel: row.PREDICTED_LABEL,
+        trueLabel: row.TRUE_LABEL,
+        width: row.WIDTH,
+        height: row.HEIGHT,
+        pixels: row.PIXELS ? JSON.parse(row.PIXELS) : undefined
+      }));
+    } finally {
+      if (connection) {
+        await connection.close();
+      }
+    }
+  }
+
+  return { save, label, list };
+}
+
+// Sample store kept in memory, for running without a database
+function createMemoryStore() {
+  const samples = [];
+  let nextId = cluster.isWorker ? cluster.worker.id * WORKER_ID_STEP + 1 : 1;
+
+  async function save(rows) {
+    return rows.map((row) => {
+      const sample = {
+        id: nextId++,
+        createdAt: new Date(),
+        model: row.model,
+        clientId: row.clientId,
+        predictedLabel: row.predictedLabel,
+        trueLabel: null,
+        width: row.width,
+        height: row.height,
+        pixels: row.pixels
+      };
+      samples.push(sample);
+      if (samples.length > MAX_MEMORY_SAMPLES) {
+        samples.shift();
+      }
+      return sample.id;
+    });
+  }
+
+  async function label(id, trueLabel, clientId) {
+    const sample = samples.find((s) => s.id === id &&
+      (clientId === undefined || s.clientId === clientId));
+    if (sample) {
+      sample.trueLabel = String(trueLabel);
+    }
+    return Boolean(sample);
+  }
+
+  async function list(filters) {
+    const matches = samples.filter((s) =>
+      (filters.model === undefined || s.model === filters.model) &&
+      (filters.label === undefined || s.predictedLabel === filters.label) &&
+      (filters.trueLabel === undefined || s.trueLabel === filters.trueLabel) &&
+      (filters.clientId === undefined || s.clientId === filters.clientId) &&
+      (filters.labelled === undefined ||
+        (s.trueLabel !== null) === filters.labelled) &&
+      (filters.since === undefined || s.createdAt >= filters.since) &&
+      (filters.until === undefined || s.createdAt < filters.until));
+    return matches.reverse()
+      .slice(filters.offset, filters.offset + filters.limit)
+      .map((s) => Object.assign({}, s, {
+        pixels: filters.pixels ? JSON.parse(s.pixels) : undefined
+      }));
+  }
+
+  return { save, label, list };
+}
+
+// Store that keeps nothing
+function createNullStore() {
+  return {
+    save: async (rows) => rows.map(() => null),
+    label: async () => false,
+    list: async () => []
+  };
+}
+
+// Returns the store called name, or the default for the backend
+function getSampleStore(backendName, name) {
+  name = name || (backendName === 'oracle' ? 'oracle' : 'memory');
+  if (name === 'oracle') {
+    if (backendName !== 'oracle') {
+      throw new Error('MNIST_SAMPLES=oracle needs MNIST_BACKEND=oracle');
+    }
+    return createOracleStore();
+  } else if (name === 'memory') {
+    return createMemoryStore();
+  } else if (name === 'off') {
+    return createNullStore();
+  }
+  throw new Error('Unknown MNIST_SAMPLES "' + name + '", use one of: ' +
+    'oracle, memory, off');
+}
+
+module.exports = {
+  getSampleStore,
+  toSample,
+  parseFilters,
+};
@@ -0,0 +1,191 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   scheduler.js
+ *
+ * DESCRIPTION
+ *   Micro-batching of single predictions.  Requests that arrive within a
+ *   short window are queued and sent to the backend together, one
+ *   predictMany() query per model, and each caller gets its own result
+ *   back.  Against a small database this trades a few milliseconds of
+ *   latency for far fewer round trips and pooled connections.
+ *
+ *   The window, batch size, concurrency and queue limits are the batch.*
+ *   settings of config.js.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const { logger } = require('./logger.js');
+
+// Refusal because the server is too busy, answered with HTTP 503
+class BusyError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'BusyError';
+    this.statusCode = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Returns a scheduler with predict(pixels, topK, model, trace), which
+// resolves like backend.predict(), and stats().  settings are the batch settings
+// {windowMs, maxBatch, concurrency, maxQueue, maxWaitMs, retryAfter}.
+function createScheduler(backend, settings) {
+  const queue = [];
+  const counters = { batches: 0, predictions: 0, rejected: 0 };
+  let running = 0;
+  let timer = null;
+
+  function predict(pixels, topK, model, trace = {}) {
+    if (settings.maxQueue && queue.length >= settings.maxQueue) {
+      counters.rejected++;
+      return Promise.reject(new BusyError('Too many predictions waiting, ' +
+        'try again later', settings.retryAfter));
+    }
+    return new Promise((resolve, reject) => {
+      const item = {
+        pixels: pixels,
+        topK: topK,
+        model: model,
+        trace: trace,
+        expiry: null,
+        resolve: resolve,
+        reject: reject
+      };
+      // Refused once it has waited too long, even while every batch slot
+      // is held by a stalled backend call
+      if (settings.maxWaitMs) {
+        item.expiry = setTimeout(() => expire(item), settings.maxWaitMs);
+      }
+      queue.push(item);
+      schedule();
+    });
+  }
+
+  function expire(item) {
+    const i = queue.indexOf(item);
+    if (i < 0) {
+      return;
+    }
+    queue.splice(i, 1);
+    counters.rejected++;
+    item.reject(new BusyError('Prediction waited more than ' +
+      settings.maxWaitMs + ' ms, try again later', settings.retryAfter));
+  }
+
+  // Sends right away when a batch is full or batching is off, otherwise
+  // when the window of the oldest request closes
+  function schedule() {
+    if (settings.windowMs === 0 || queue.length >= settings.maxBatch) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, settings.windowMs);
+    }
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    while (running < settings.concurrency && queue.length > 0) {
+      const batch = takeBatch();
+      if (batch.length > 0) {
+        run(batch);
+      }
+    }
+    // The rest is sent when a running batch finishes
+  }
+
+  // Takes the oldest request and the ones for the same model after it
+  function takeBatch() {
+    const model = queue[0].model;
+    const batch = [];
+    for (let i = 0; i < queue.length && batch.length < settings.maxBatch;) {
+      const item = queue[i];
+      if (item.model === model) {
+        queue.splice(i, 1);
+        clearTimeout(item.expiry);
+        batch.push(item);
+      } else {
+        i++;
+      }
+    }
+    return batch;
+  }
+
+  async function run(batch) {
+    running++;
+    counters.batches++;
+    counters.predictions += batch.length;
+    // One query answers every request with the largest topK asked for
+    const topK = Math.max(...batch.map((item) => item.topK || 0));
+    // The session is tagged with the first request, the log has them all
+    const trace = Object.assign({}, batch[0].trace);
+    if (batch.length > 1) {
+      trace.action = 'predict batch';
+      logger.info('batch', {
+        requestId: trace.requestId,
+        requestIds: batch.map((item) => item.trace.requestId),
+        model: batch[0].model,
+        size: batch.length
+      });
+    }
+    try {
+      const results = batch.length == 1 ?
+        [await backend.predict(batch[0].pixels, topK, batch[0].model, trace)] :
+        await backend.predictMany(batch.map((item) => item.pixels), topK,
+          batch[0].model, trace);
+      batch.forEach((item, i) => item.resolve({
+        value: results[i].value,
+        classes: results[i].classes.slice(0, item.topK || 0)
+      }));
+    } catch (err) {
+      batch.forEach((item) => item.reject(err));
+    } finally {
+      running--;
+      flush();
+    }
+  }
+
+  function stats() {
+    return {
+      queued: queue.length,
+      running: running,
+      batches: counters.batches,
+      predictions: counters.predictions,
+      rejected: counters.rejected
+    };
+  }
+
+  return { predict, stats };
+}
+
+module.exports = {
+  BusyError,
+  createScheduler,
+};
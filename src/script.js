@@ -1,253 +0,0 @@
-
-// edited from https://maneprajakta.github.io/Digit_Recognition_Web_App/
-
-// MIT License
-
-// Copyright (c) 2020 Prajakta Mane
-// Copyright (c) 2024 Sergio Rivera
-
-// Permission is hereby granted, free of charge, to any person obtaining a copy
-// of this software and associated documentation files (the "Software"), to deal
-// in the Software without restriction, including without limitation the rights
-// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
-// copies of the Software, and to permit persons to whom the Software is
-// furnished to do so, subject to the following conditions:
-
-// The above copyright notice and this permission notice shall be included in all
-// copies or substantial portions of the Software.
-
-// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
-// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
-// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
-// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
-// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
-// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
-// SOFTWARE.
-//
-var canvas = document.getElementById('sketchpad');
-var ctx;
-var mouseX, mouseY, mouseDown = 0;
-var touchX, touchY;
-
-// fucnction for interacting with canvas
-
-function init() {
-    canvas = document.getElementById('sketchpad');
-    //'2d' means two dimensional rendering context on canvas
-    ctx = canvas.getContext('2d');
-    //we have context of canvas on ctx
-    //we will fill ctx background with black
-    ctx.fillStyle = "black";
-    // it draws a fill rect with x=0,y=0 as start 
-    //and canvas width and height
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    if (ctx) {
-        //if mousedown than call function 
-        //sketchPad_mouseDown.false means bubble phase
-        canvas.addEventListener('mousedown', sketchpad_mouseDown, false);
-        canvas.addEventListener('mousemove', sketchpad_mouseMove, false);
-        window.addEventListener('mouseup', sketchpad_mouseUp, false);
-        canvas.addEventListener('touchstart', sketchpad_touchStart, false);
-        canvas.addEventListener('touchmove', sketchpad_touchMove, false);
-    }
-}
-
-//now to enable drawing on canvas we define draw function
-function draw(ctx, x, y, size, isDown) {
-    if (isDown) {   //to inform canvas user is about to draw
-        ctx.beginPath();
-        //to set color of line
-        ctx.strokeStyle = "white";
-        //set width of line      
-        ctx.lineWidth = '45';
-        //.linejoin : set connection between two line 
-        //lineCap to set end of line      
-        ctx.lineJoin = ctx.lineCap = 'round';
-        //it tells where to start drawing line  
-        ctx.moveTo(lastX, lastY);
-        //draw line from start to current position of pointer
-        ctx.lineTo(x, y);
-        //drawing is complete      
-        ctx.closePath();
-        //to paint the line drawn with some pixel   
-        ctx.stroke();
-    }
-    //if not mousedown than start posi is curr position  
-    lastX = x;
-    lastY = y;
-}
-
-
-//Event handlers
-
-//when mouse is down it will call draw function
-function sketchpad_mouseDown() {
-    mouseDown = 1;
-    draw(ctx, mouseX, mouseY, 12, false);
-}
-
-//when mouse is released it set's mousedown back to false
-function sketchpad_mouseUp() {
-    mouseDown = 0;
-}
-
-//it is activated when mouse is moved in either direction
-//it get's current position of mouse from getMousePos(e)
-//if mouseDown than call draw
-function sketchpad_mouseMove(e) {
-    getMousePos(e);
-    if (mouseDown == 1) {
-        draw(ctx, mouseX, mouseY, 12, true);
-    }
-}
-
-//it finds current position of pointer
-//when mouse event is triggered
-//offset x,offset y return x,y cordinate of mouse
-//layer x,layer y 
-//return horizantak and vertical cordinates relative to current layer
-function getMousePos(e) {
-    if (!e)
-        var e = event;
-    if (e.offsetX) {
-        mouseX = e.offsetX;
-        mouseY = e.offsetY;
-    }
-    else if (e.layerX) {
-        mouseX = e.layerX;
-        mouseY = e.layerY;
-    }
-}
-
-//touch event handler
-
-//it is activated when user touches the touchpad
-//it calls draw func with false to note position not to draw
-function sketchpad_touchStart() {
-    getTouchPos();
-    draw(ctx, touchX, touchY, 12, false);
-    //this prevents scrolling of screen when user draws
-    event.preventDefault();
-}
-
-
-//it is activated when user drags in sketchpad
-//it calls draw with true flag to enable drawing
-
-function sketchpad_touchMove(e) {
-    getTouchPos(e);
-    draw(ctx, touchX, touchY, 12, true);
-    event.preventDefault();
-}
-
-//it is used to find point in the sketchpad where user has
-//touched
-
-function getTouchPos(e) {
-    if (!e)
-        var e = event;
-    if (e.touches) {
-        //it length is used to find  
-        //how many fingers has touched    
-        if (e.touches.length == 1) {
-            var touch = e.touches[0];
-            touchX = touch.pageX - touch.target.offsetLeft;
-            touchY = touch.pageY - touch.target.offsetTop;
-        }
-    }
-}
-
-//clearing the sketchpad
-//on click of clear button it fills backg with black color
-
-document.getElementById('clear_button').addEventListener("click",
-    function () {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.fillStyle = "black";
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-    });
-
-
-
-//loading the model
-
-//the base url of website in which our 
-//web app is deployed is obtained from window.location.origin
-//the json file is loaded using async function
-
-var base_url = window.location.origin;
-let model;
-(async function () {
-    // console.log("model loading...");
-    // model = await tf.loadLayersModel("model/model.json")
-    // console.log("model loaded..");
-    // this time we use ORACLE DB as backend, no need for tf model
-    // as in Prajakta Mane example
-})();
-
-//preprocessing model
-
-/*
-the digit sketched is passed as image to model
-so as to predict the value of it
-
-*/
-
-function preprocessCanvas(image) {
-
-    //resizing the input image to target size of (1, 28, 28) 
-    //tf.browser.fromPixels() method, to create a tensor that will flow into the first layer of the model
-    //tf.image.resizeNearestNeighbor() function resizes a batch of 3D images to a new shape
-    //tf.mean() function is used to compute the mean of elements across the dimensions of the tensor
-    //tf.toFloat() function casts the array to type float
-    //The tensor.div() function is used to divide the array or tensor by the maximum RGB value(255)
-    let tensor = tf.browser.fromPixels(image).resizeNearestNeighbor([28, 28]).mean(2).expandDims(2).expandDims().toFloat();
-    let output = tensor.reshape([1, 28 * 28]).dataSync();
-    return output;
-}
-
-async function oraclePrecition(data) {
-    const http = new XMLHttpRequest();
-    http.open("GET", data, false);
-    http.onload = async function () {
-        if (http.readyState == 4 && http.status == 200) {
-            parser = new DOMParser();
-            var xmlDoc = parser.parseFromString(http.responseText,"text/xml");
-            var num = Number(xmlDoc.getElementsByTagName("resultado")[0].childNodes[0].nodeValue);
-            displayLabel(num)
-            return num;
-        }
-    }
-    http.send(null);
-}
-
-//Prediction
-//canvas.toDataURL() : returns 
-//image in format specified default png
-//than send to preprocess function
-//await makes program wait until mmodel prediction
-//displayLabel to display result
-document.getElementById('predict_button').addEventListener("click", async function () {
-    let tensor = await preprocessCanvas(canvas);
-    const predictions = await oraclePrecition(await tensor); //model.predict(tensor).data();
-});
-
-canvas.addEventListener("touchend", async function () {
-    let tensor = await preprocessCanvas(canvas);
-    const predictions = await oraclePrecition(await tensor); //await model.predict(tensor).data();
-});
-
-//When mouse leaves the canvas
-canvas.addEventListener("mouseup", async function () {
-    let tensor = await preprocessCanvas(canvas);
-    const predictions = await oraclePrecition(await tensor); //model.predict(tensor).data();
-});
-
-//output
-async function displayLabel(data) {
-    data = Number(data);
-    document.getElementById('result').innerHTML = data.toFixed(0);
-    document.getElementById('floatValue').innerHTML = "Float value: " + (data).toFixed(2);
-}
-
-
@@ -0,0 +1,116 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   static.js
+ *
+ * DESCRIPTION
+ *   Serves the files of a directory, such as the page script and style sheet
+ *   in src/public.  Files are read once and kept in memory until they change
+ *   on disk.  Each answer has an ETag, and a request whose If-None-Match
+ *   matches it gets a 304 without the body.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// File extension -> Content-Type
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+// Returns a file server for the files in dir, plus the files named in extra
+// (URL path -> file), such as a module shared with the server.  Only the
+// files found when it is created are served, so a path can never leave dir.
+function createStaticFiles(dir, extra = {}) {
+  const files = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isFile()) {
+      files.set(name, file);
+    }
+  }
+  for (const name of Object.keys(extra)) {
+    files.set(name, extra[name]);
+  }
+  // URL path -> {mtimeMs, body, etag}
+  const loaded = new Map();
+
+  // Returns the file of a URL path, reading it again when it changed
+  async function load(name) {
+    const file = files.get(name);
+    const stat = await fs.promises.stat(file);
+    let entry = loaded.get(name);
+    if (!entry || entry.mtimeMs != stat.mtimeMs) {
+      const body = await fs.promises.readFile(file);
+      const hash = crypto.createHash('sha1').update(body).digest('base64');
+      entry = { mtimeMs: stat.mtimeMs, body: body,
+        etag: '"' + hash.slice(0, 27) + '"' };
+      loaded.set(name, entry);
+    }
+    return entry;
+  }
+
+  // Answers a GET or HEAD for a URL path, see has()
+  async function serve(request, response, name) {
+    const entry = await load(name);
+    const headers = {
+      'Content-Type': CONTENT_TYPES[path.extname(name)] ||
+        'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-cache',
+      'ETag': entry.etag
+    };
+    const match = request.headers['if-none-match'];
+    if (match && match.split(/\s*,\s*/).some((tag) =>
+      tag == entry.etag || tag == 'W/' + entry.etag || tag == '*')) {
+      response.writeHead(304, headers);
+      return response.end();
+    }
+    headers['Content-Length'] = entry.body.length;
+    response.writeHead(200, headers);
+    response.end(entry.body);
+  }
+
+  return {
+    // Tells whether a URL path, without the leading "/", is a file
+    has: (name) => files.has(name),
+    serve: serve,
+  };
+}
+
+module.exports = {
+  createStaticFiles,
+};
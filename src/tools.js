@@ -0,0 +1,198 @@
+/* Copyright (c) 2024, Sergio Rivera. */
+
+/******************************************************************************
+ *
+ * This software is dual-licensed to you under the Universal Permissive License
+ * (UPL) 1.0 as shown at https://oss.oracle.com/licenses/upl and Apache License
+ * 2.0 as shown at http://www.apache.org/licenses/LICENSE-2.0. You may choose
+ * either license.
+ *
+ * If you elect to accept the software under the Apache License, Version 2.0,
+ * the following applies:
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * NAME
+ *   tools.js
+ *
+ * DESCRIPTION
+ *   Helpers shared by the command line tools (evaluate.js, robustness.js):
+ *   option parsing, a pool of concurrent calls, and a predictor that goes
+ *   either through the prediction backend the server uses or through a
+ *   running server with --url.
+ *
+ *****************************************************************************/
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { getBackend, toLabel } = require('./backends');
+const { loadConfig } = require('./config.js');
+
+// Times a prediction refused with a 429 or 503 is sent again
+const MAX_RETRIES = 5;
+
+// Parses --name value pairs into an object.  options maps each name to
+// 'string' or 'number', numbers being positive integers.  A 'flag' takes
+// no value.
+function parseArgs(argv, options, defaults) {
+  const args = Object.assign({}, defaults);
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!argv[i].startsWith('--') || !(name in options)) {
+      throw new Error('Unknown option ' + argv[i]);
+    }
+    if (options[name] === 'flag') {
+      args[name] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error('Option --' + name + ' needs a value');
+    }
+    if (options[name] === 'number') {
+      args[name] = Number(value);
+      if (!Number.isInteger(args[name]) || args[name] < 1) {
+        throw new Error('Option --' + name + ' must be a positive integer');
+      }
+    } else {
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+// Returns a function that predicts the label of one image with a running
+// server's POST /api/predict, without storing it as a sample or in the
+// cache.  When the server answers 429 or 503 the prediction is sent again
+// up to MAX_RETRIES times, after the Retry-After seconds or a delay that
+// doubles each time, whichever is longer.
+function serverPredictor(baseUrl, model, apiKey) {
+  const url = new URL('api/predict', baseUrl.endsWith('/') ? baseUrl :
+    baseUrl + '/');
+  const client = url.protocol === 'https:' ? https : http;
+  const post = (pixels) => new Promise((resolve, reject) => {
+    const body = JSON.stringify({ pixels: pixels, topK: 0, model: model,
+      store: false });
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    };
+    if (apiKey) {
+      headers['Authorization'] = 'Bearer ' + apiKey;
+    }
+    const request = client.request(url, {
+      method: 'POST',
+      headers: headers
+    }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        try {
+          resolve({
+            status: response.statusCode,
+            retryAfter: Number(response.headers['retry-after']) || 1,
+            json: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+          });
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  return async (pixels) => {
+    for (let retry = 0; ; retry++) {
+      const answer = await post(pixels);
+      if ((answer.status === 429 || answer.status === 503) &&
+          retry < MAX_RETRIES) {
+        const delay = Math.max(answer.retryAfter, 2 ** retry);
+        await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+        continue;
+      }
+      if (answer.status !== 200) {
+        throw new Error('HTTP ' + answer.status + ': ' + answer.json.error);
+      }
+      return answer.json.label;
+    }
+  };
+}
+
+// Opens the predictor a tool runs images through: the server at --url, or
+// the backend from the environment and the MNIST_CONFIG file as for the
+// server.  shape {width, height} is checked against the model's.  Returns
+// {model, predictLabel(pixels), close()}.
+async function openPredictor(args, shape) {
+  if (args.url) {
+    return {
+      model: args.model || 'default model at ' + args.url,
+      predictLabel: serverPredictor(args.url, args.model, args['api-key']),
+      close: async () => {}
+    };
+  }
+  const config = loadConfig([]);
+  const backend = getBackend(config.backend);
+  await backend.init(config);
+  const found = backend.models.find((m) =>
+    m.name === (args.model || backend.modelName));
+  if (!found || found.width !== shape.width ||
+      found.height !== shape.height) {
+    await backend.close();
+    throw new Error(!found ? 'Unknown model ' + args.model :
+      'Model ' + found.name + ' takes ' + found.width + 'x' + found.height +
+      ' images, the dataset has ' + shape.width + 'x' + shape.height);
+  }
+  return {
+    model: found.name,
+    predictLabel: async (pixels) =>
+      toLabel((await backend.predict(pixels, 0, found.name)).value),
+    close: () => backend.close()
+  };
+}
+
+// Calls fn(item, index) for every item with at most concurrency calls
+// running at once
+async function runPool(items, concurrency, fn) {
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+function pad(value, width) {
+  return String(value).padStart(width);
+}
+
+function percent(value) {
+  return (100 * value).toFixed(2) + '%';
+}
+
+module.exports = {
+  parseArgs,
+  serverPredictor,
+  openPredictor,
+  runPool,
+  pad,
+  percent,
+};
@@ -31,12 +31,18 @@
  *
  *   The script creates an HTTP server listening on port 7000 and accepts a URL
  *   parameter for the MNIST image, for example: http://localhost:7000/0,0,1,0, ...
+ *   The port and every other setting can be changed, see config.js or run
+ *   with --help.
  *
- *   In some networks forced pool termination may hang unless you have
- *   'disable_oob=on' in sqlnet.ora, see
- *   https://node-oracledb.readthedocs.io/en/latest/user_guide/connection_handling.html#limiting-the-time-taken-to-execute-statements
+ *   The same prediction is available as JSON with POST /api/predict, see
+ *   README.md.
  *
- *   In production applications, set poolMin=poolMax (and poolIncrement=0)
+ *   Predictions come from the backend named by the backend setting, see
+ *   backends/index.js.  The default "oracle" backend queries the in-database
+ *   model; "local" runs without a database.
+ *
+ *   With the server.workers setting this process supervises that many
+ *   worker processes running the server instead, see cluster.js.
  *
  *****************************************************************************/
 
@@ -44,291 +50,1180 @@
 
 Error.stackTraceLimit = 50;
 
-// Note: if you use Thick mode, and you increase poolMax, then you must also
-// increase UV_THREADPOOL_SIZE before Node.js starts its thread pool.  If you
-// set UV_THREADPOOL_SIZE too late, the value is ignored and the default size
-// of 4 is used.
-//
-// On Windows you must set the UV_THREADPOOL_SIZE environment variable
-// externally before running your application.
-//
-// Increasing UV_THREADPOOL_SIZE is not needed if you use Thin mode.
-//
-// process.env.UV_THREADPOOL_SIZE = 10; // set threadpool size to 10 for 10 connections
+const cluster = require('cluster');
+const http = require('http');
+const net = require('net');
+const { getBackend, toLabel } = require('./backends');
+const { getSampleStore, toSample, parseFilters } = require('./samples.js');
+const { MAX_TOP_K, InputError, parseJson, parsePixelList, parsePredictBody,
+  readBatchBody, toBatchPixels, toTopK } = require('./pixels.js');
+const { readUpload } = require('./images.js');
+const { preprocess, segmentDigits } = require('./preprocess.js');
+const { cacheKey, getPredictionCache } = require('./cache.js');
+const { BusyError, createScheduler } = require('./scheduler.js');
+const { ConfigError, loadConfig, usage } = require('./config.js');
+const { createRegistry } = require('./metrics.js');
+const { logger, configureLogger } = require('./logger.js');
+const { createStaticFiles } = require('./static.js');
+const { createLiveServer } = require('./live.js');
+const { AccessError, apiKeyOf, getKeyStore } = require('./auth.js');
+const { createRateLimiter } = require('./ratelimit.js');
+const { parseExplainOptions, explainPrediction } = require('./explain.js');
+const { superviseWorkers } = require('./cluster.js');
+const crypto = require('crypto');
+const path = require('path');
 
+let config;
+let backend;
+let samples;
+let cache;
+let scheduler;
+let live;
+// API keys, null when auth.keys is off
+let keys;
+let keyLimiter;
+let anonymousLimiter;
+// Origins of other sites allowed to call the API
+let corsOrigins;
+let server;
+// Set once the process stops taking requests, see drainAndExit()
+let draining = false;
+// Responses not finished yet, which drainAndExit() waits for
+const openResponses = new Set();
+// Open client sockets, which drainAndExit() destroys on Node versions
+// without server.closeAllConnections()
+const openSockets = new Set();
+const staticFiles = createStaticFiles(path.join(__dirname, 'public'), {
+  'preprocess.js': path.join(__dirname, 'preprocess.js'),
+  'vendor/bootstrap.min.css':
+    require.resolve('bootstrap/dist/css/bootstrap.min.css'),
+  'vendor/bootstrap.min.css.map':
+    require.resolve('bootstrap/dist/css/bootstrap.min.css.map'),
+});
+// Everything the page loads comes from this server, so it works offline and
+// an injected script cannot load or send anything elsewhere.  Bootstrap
+// draws some controls with data: images.
+const CONTENT_SECURITY_POLICY = "default-src 'self'; img-src 'self' data:; " +
+  "object-src 'none'; base-uri 'none'; form-action 'self'; " +
+  "frame-ancestors 'none'";
+// Predictions running now by cache key, so identical requests share one
+const inflight = new Map();
 
-const http = require('http');
-const oracledb = require('oracledb');
-const dbConfig = require('./dbconfig.js');
-var fs = require('fs');
+// Longest /readyz waits for the backend before it answers 503
+const READY_TIMEOUT_MS = 5000;
 
-// This example runs in both node-oracledb Thin and Thick modes.
-//
-// Optionally run in node-oracledb Thick mode
-if (process.env.NODE_ORACLEDB_DRIVER_MODE === 'thick') {
+// Most digits read from one picture by /api/predict/number
+const MAX_DIGITS = 32;
 
-  // Thick mode requires Oracle Client or Oracle Instant Client libraries.
-  // On Windows and macOS Intel you can specify the directory containing the
-  // libraries at runtime or before Node.js starts.  On other platforms (where
-  // Oracle libraries are available) the system library search path must always
-  // include the Oracle library path before Node.js starts.  If the search path
-  // is not correct, you will get a DPI-1047 error.  See the node-oracledb
-  // installation documentation.
-  let clientOpts = {};
-  // On Windows and macOS Intel platforms, set the environment
-  // variable NODE_ORACLEDB_CLIENT_LIB_DIR to the Oracle Client library path
-  if (process.platform === 'win32' || (process.platform === 'darwin' && process.arch === 'x64')) {
-    clientOpts = { libDir: process.env.NODE_ORACLEDB_CLIENT_LIB_DIR };
-  }
-  oracledb.initOracleClient(clientOpts);  // enable node-oracledb Thick mode
-}
+// Most explanations running at once, each holding a pool connection for
+// its query; more get a 503
+const MAX_EXPLAINS = 2;
+let explaining = 0;
+
+// Most picture uploads read and decoded at once, each holding its body and
+// the decoded picture in memory; more get a 503
+const MAX_UPLOADS = 4;
+let uploading = 0;
 
-console.log(oracledb.thin ? 'Running in thin mode' : 'Running in thick mode');
+// Prometheus metrics, see GET /metrics
+const registry = createRegistry();
+const httpRequests = registry.counter('mnist_http_requests_total',
+  'HTTP requests by route, method and status');
+const predictionSeconds = registry.histogram(
+  'mnist_prediction_duration_seconds',
+  'Time to answer a prediction request, by endpoint and model');
+const predictedLabels = registry.counter('mnist_predictions_total',
+  'Predicted images by model and label');
+const dbErrors = registry.counter('mnist_db_errors_total',
+  'Failed backend calls by operation');
 
-const httpPort = 7000;
+// Shades of printNumber heatmaps, from unimportant to most important
+const SHADES = " .:-=+*#%@";
 
-function printNumber(id) {
-  for (var i = 0; i < 28; i++) {
+// Logs the image as ASCII art when the log.digits setting is on.  With heat,
+// one importance per pixel as from explain.js, it logs the heatmap instead
+// in shades of SHADES, pixels that argue against the prediction as "~".
+function printNumber(id, model = backend, log = logger, heat = null) {
+  if (!config.log.digits) {
+    return;
+  }
+  const width = model.width;
+  const most = heat ? Math.max(...heat.map(Math.abs)) || 1 : 0;
+  const rows = [];
+  for (var i = 0; i < model.height; i++) {
     var tmp = "";
-    for (var j = 0; j < 28; j++) {
-      if (id[j + i * 28] > 0)
+    for (var j = 0; j < width; j++) {
+      if (heat) {
+        const share = heat[j + i * width] / most;
+        tmp += share < -0.1 ? "~" : SHADES[Math.round(Math.max(share, 0) *
+          (SHADES.length - 1))];
+      } else if (id[j + i * width] > 0)
         tmp += " "
       else
         tmp += "·"
     }
-    console.log(tmp)
+    rows.push(tmp);
   }
+  log.write('debug', heat ? 'explain' : 'digit', { model: model.name,
+    rows: rows });
 }
 
-// If additionally using Database Resident Connection Pooling (DRCP), then set a connection class:
-// oracledb.connectionClass = 'MYAPPNAME';
+// Returns the id of a request: its X-Request-Id header when it has a
+// usable one, a new random id otherwise
+function requestId(request) {
+  const id = request.headers['x-request-id'];
+  if (typeof id === 'string' && /^[\w.:-]{1,64}$/.test(id)) {
+    return id;
+  }
+  return crypto.randomBytes(8).toString('hex');
+}
 
-// Main entry point.  Creates a connection pool and an HTTP server
-// that executes a query based on the URL parameter given.
-// The pool values shown are the default values.
+// Returns what the backend is told about a call made for request, see
+// backends/index.js
+function traceOf(request, action) {
+  return { requestId: request.id, action: action };
+}
+
+// Main entry point.  Starts the prediction backend and an HTTP server
+// that executes a query based on the URL parameter given.  Any problem with
+// the settings, the backend or the port stops the process.
 async function init() {
   try {
-    await oracledb.createPool({
-      user: dbConfig.user,
-      password: dbConfig.password,
-      connectString: dbConfig.connectString,
-    });
-    // Create HTTP server and listen on port httpPort
-    const server = http.createServer();
-    server.on('error', (err) => {
-      console.log('HTTP server problem: ' + err);
+    config = loadConfig();
+    if (config.help) {
+      console.log(usage());
+      process.exit(0);
+    }
+    configureLogger(config.log.level,
+      cluster.isWorker ? { worker: cluster.worker.id } : {});
+    if (config.file && !cluster.isWorker) {
+      logger.info("Using settings from " + config.file);
+    }
+    // cluster.isPrimary is named isMaster before Node 16
+    const isPrimary = cluster.isPrimary ?? cluster.isMaster;
+    if (config.server.workers > 0 && isPrimary) {
+      return await superviseWorkers(config);
+    }
+    process
+      .once('SIGTERM', drainAndExit)
+      .once('SIGINT', drainAndExit)
+      .on('SIGHUP', reloadKeys);
+    backend = getBackend(config.backend);
+    await backend.init(config);
+    samples = getSampleStore(backend.name, config.samples);
+    cache = getPredictionCache(config.cache);
+    scheduler = createScheduler(backend, config.batch);
+    live = createLiveServer(predictLive);
+    keys = getKeyStore(config.auth);
+    keyLimiter = createRateLimiter(config.limit.rate, config.limit.burst);
+    anonymousLimiter = createRateLimiter(config.limit.anonymousRate,
+      config.limit.anonymousBurst);
+    corsOrigins = new Set((config.server.corsOrigins || '').split(',')
+      .map((origin) => origin.trim()).filter((origin) => origin));
+    collectMetrics();
+    // Create HTTP server and listen on the configured host and port
+    server = http.createServer();
+    server.on('connection', (socket) => {
+      openSockets.add(socket);
+      socket.on('close', () => openSockets.delete(socket));
     });
     server.on('request', (request, response) => {
-      if ("/favicon.ico" != request.url)
-        handleRequest(request, response);
+      const start = Date.now();
+      openResponses.add(response);
+      response.on('close', () => openResponses.delete(response));
+      if (draining) {
+        response.setHeader('Connection', 'close');
+      }
+      request.id = requestId(request);
+      request.log = logger.child({ requestId: request.id });
+      response.setHeader('X-Request-Id', request.id);
+      response.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+      allowCors(request, response);
+      response.on('finish', () => {
+        const route = routeName(request.url);
+        httpRequests.inc({
+          route: route,
+          method: request.method,
+          status: response.statusCode
+        });
+        request.log.info('request', {
+          method: request.method,
+          route: route,
+          status: response.statusCode,
+          durationMs: Date.now() - start
+        });
+      });
+      handleRequest(request, response);
+    });
+    server.on('upgrade', handleUpgrade);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.server.port, config.server.host, resolve);
+    });
+    server.on('error', (err) => {
+      logger.error('HTTP server problem', err);
     });
-    await server.listen(httpPort);
-    console.log("Server is running at http://localhost:" + httpPort);
+    logger.info("Server is running at http://" + config.server.host + ":" +
+      server.address().port);
   } catch (err) {
-    console.error("init() error: " + err.message);
+    if (err instanceof ConfigError) {
+      logger.error('Invalid configuration, run with --help to list the ' +
+        'settings', { problems: err.problems });
+    } else {
+      logger.error("init() error", err);
+    }
+    if (backend) {
+      await backend.close().catch(() => {});
+    }
+    process.exit(1);
   }
 }
 
+// Answers a request from the route of its path, or with a 404.  Routes that
+// answer GET answer HEAD too.
 async function handleRequest(request, response) {
+  const url = new URL('http://localhost' + request.url);
+  const pathname = url.pathname.slice(1);
+  if (pathname == "api" || pathname.startsWith("api/")) {
+    return handleApiRequest(request, response, url);
+  }
+  const route = findRoute(pathname);
+  if (!route) {
+    return sendJson(response, 404, { error: "Not found" });
+  }
+  if (!allowsMethod(route, request.method)) {
+    return sendMethodNotAllowed(response, route);
+  }
+  try {
+    await route.handler(request, response, url, pathname);
+  } catch (err) {
+    sendError(request, response, "handleRequest() error", err);
+  }
+}
 
-  // console.log("request.url: " + request.url)
-  const urlparts = request.url.split("/");
-  if (request.url.includes('style.css')) {
-    response.setHeader('Content-type', 'text/css');
-    response.write(fs.readFileSync('./src/style.css'));
-    response.end();
-    return;
-  } else if (request.url.includes('script.js')) {
-    response.setHeader('X-Content-Type-Options', 'text/script');
-    response.write(fs.readFileSync('./src/script.js'));
-    response.end();
-    return;
-  } else if (urlparts[1] == "canvas" || urlparts[1].length < 2) {
-    return getCanvas(request, response);
+// Routes outside /api: path -> {name, method, handler}.  The name labels the
+// request metrics.
+const ROUTES = {
+  '': { name: 'canvas', method: 'GET', handler: getCanvas },
+  'canvas': { name: 'canvas', method: 'GET', handler: getCanvas },
+  // for load balancers and monitoring
+  'healthz': { name: 'healthz', method: 'GET', handler: handleHealthRequest },
+  'readyz': { name: 'readyz', method: 'GET', handler: handleReadyRequest },
+  'metrics': { name: 'metrics', method: 'GET', handler: handleMetricsRequest },
+};
+
+// The files of src/public, preprocess.js which the page shares with the
+// server and the vendored style sheets
+const STATIC_ROUTE = { name: 'static', method: 'GET',
+  handler: (request, response, url, pathname) =>
+    staticFiles.serve(request, response, pathname) };
+
+// GET /<pixels>, see handleLegacyRequest
+const LEGACY_ROUTE = { name: 'legacy', method: 'GET',
+  handler: handleLegacyRequest, anonymous: true };
+
+// Returns the route of a path without the leading "/", outside /api
+function findRoute(pathname) {
+  if (Object.prototype.hasOwnProperty.call(ROUTES, pathname)) {
+    return ROUTES[pathname];
+  } else if (staticFiles.has(pathname)) {
+    return STATIC_ROUTE;
+  } else if (pathname.includes(",") && !pathname.includes("/")) {
+    return LEGACY_ROUTE;
   }
+}
+
+// Returns the route of a URL for the request metrics, following
+// handleRequest
+function routeName(requestUrl) {
+  const pathname = new URL('http://localhost' + requestUrl).pathname.slice(1);
+  if (pathname == "api" || pathname.startsWith("api/")) {
+    const match = matchApiRoute(pathname.slice(4).replace(/\/$/, ''));
+    return match ? "api/" + match.pattern : "api/unknown";
+  }
+  const route = findRoute(pathname);
+  return route ? route.name : "unknown";
+}
 
-  var id = urlparts[1];
-  id = id.split(",")
-  let connection;
+// Tells whether a route answers a method, HEAD being a GET without the body
+function allowsMethod(route, method) {
+  return method == route.method || (method == 'HEAD' && route.method == 'GET');
+}
+
+function sendMethodNotAllowed(response, route) {
+  response.setHeader('Allow',
+    route.method == 'GET' ? 'GET, HEAD' : route.method);
+  sendJson(response, 405, { error: "Use " + route.method });
+}
+
+// GET /<pixels> with the 784 pixels separated by commas answers with the
+// predicted value as <resultado>value</resultado>.  This is the original
+// interface, kept for existing clients; new ones should use /api/predict.
+async function handleLegacyRequest(request, response, url, pathname) {
+  await admit(request, LEGACY_ROUTE);
+  const model = findModel();
+  const pixels = parsePixelList(decodePath(pathname), model);
+  printNumber(pixels, model, request.log);
+  const start = Date.now();
+  const result = await predictCached(pixels, 0, model,
+    traceOf(request, 'predict'));
+  recordPredictions('legacy', model, [result.value], Date.now() - start);
+  await saveSamples(request, model, [pixels], [result.value]);
+  displayResults(response, result.value);
+}
+
+// Decodes a percent-encoded path segment
+function decodePath(text) {
   try {
-    if (id.length == 784) {
-      // Checkout a connection from the default pool
-      connection = await oracledb.getConnection();
-      await connection.execute(
-        `BEGIN
-          DBMS_OUTPUT.ENABLE(NULL);
-        END;`);
-
-      console.log("Sending query...");
-      printNumber(id);
-
-      // Send predictor query to ORACLE server
-      const result = await connection.execute(
-        `SELECT prediction(DEEP_LEARNING_MODEL USING
-          :idbv as PX1, :idbv as PX2, :idbv as PX3, :idbv as PX4, :idbv as PX5, :idbv as PX6, :idbv as PX7, :idbv as PX8, :idbv as PX9, :idbv as PX10, :idbv as PX11, :idbv as PX12, :idbv as PX13, :idbv as PX14, :idbv as PX15, :idbv as PX16, :idbv as PX17, :idbv as PX18, :idbv as PX19, :idbv as PX20, :idbv as PX21, :idbv as PX22, :idbv as PX23, :idbv as PX24, :idbv as PX25, :idbv as PX26, :idbv as PX27, :idbv as PX28, :idbv as PX29, :idbv as PX30, :idbv as PX31, :idbv as PX32, :idbv as PX33, :idbv as PX34, :idbv as PX35, :idbv as PX36, :idbv as PX37, :idbv as PX38, :idbv as PX39, :idbv as PX40, :idbv as PX41, :idbv as PX42, :idbv as PX43, :idbv as PX44, :idbv as PX45, :idbv as PX46, :idbv as PX47, :idbv as PX48, :idbv as PX49, :idbv as PX50, :idbv as PX51, :idbv as PX52, :idbv as PX53, :idbv as PX54, :idbv as PX55, :idbv as PX56, :idbv as PX57, :idbv as PX58, :idbv as PX59, :idbv as PX60, :idbv as PX61, :idbv as PX62, :idbv as PX63, :idbv as PX64, :idbv as PX65, :idbv as PX66, :idbv as PX67, :idbv as PX68, :idbv as PX69, :idbv as PX70, :idbv as PX71, :idbv as PX72, :idbv as PX73, :idbv as PX74, :idbv as PX75, :idbv as PX76, :idbv as PX77, :idbv as PX78, :idbv as PX79, :idbv as PX80, :idbv as PX81, :idbv as PX82, :idbv as PX83, :idbv as PX84, :idbv as PX85, :idbv as PX86, :idbv as PX87, :idbv as PX88, :idbv as PX89, :idbv as PX90, :idbv as PX91, :idbv as PX92, :idbv as PX93, :idbv as PX94, :idbv as PX95, :idbv as PX96, :idbv as PX97, :idbv as PX98, :idbv as PX99, :idbv as PX100, :idbv as PX101, :idbv as PX102, :idbv as PX103, :idbv as PX104, :idbv as PX105, :idbv as PX106, :idbv as PX107, :idbv as PX108, :idbv as PX109, :idbv as PX110, :idbv as PX111, :idbv as PX112, :idbv as PX113, :idbv as PX114, :idbv as PX115, :idbv as PX116, :idbv as PX117, :idbv as PX118, :idbv as PX119, :idbv as PX120, :idbv as PX121, :idbv as PX122, :idbv as PX123, :idbv as PX124, :idbv as PX125, :idbv as PX126, :idbv as PX127, :idbv as PX128, :idbv as PX129, :idbv as PX130, :idbv as PX131, :idbv as PX132, :idbv as PX133, :idbv as PX134, :idbv as PX135, :idbv as PX136, :idbv as PX137, :idbv as PX138, :idbv as PX139, :idbv as PX140, :idbv as PX141, :idbv as PX142, :idbv as PX143, :idbv as PX144, :idbv as PX145, :idbv as PX146, :idbv as PX147, :idbv as PX148, :idbv as PX149, :idbv as PX150, :idbv as PX151, :idbv as PX152, :idbv as PX153, :idbv as PX154, :idbv as PX155, :idbv as PX156, :idbv as PX157, :idbv as PX158, :idbv as PX159, :idbv as PX160, :idbv as PX161, :idbv as PX162, :idbv as PX163, :idbv as PX164, :idbv as PX165, :idbv as PX166, :idbv as PX167, :idbv as PX168, :idbv as PX169, :idbv as PX170, :idbv as PX171, :idbv as PX172, :idbv as PX173, :idbv as PX174, :idbv as PX175, :idbv as PX176, :idbv as PX177, :idbv as PX178, :idbv as PX179, :idbv as PX180, :idbv as PX181,
-          :idbv as PX182, :idbv as PX183, :idbv as PX184, :idbv as PX185, :idbv as PX186, :idbv as PX187, :idbv as PX188, :idbv as PX189, :idbv as PX190, :idbv as PX191, :idbv as PX192, :idbv as PX193, :idbv as PX194, :idbv as PX195, :idbv as PX196, :idbv as PX197, :idbv as PX198, :idbv as PX199, :idbv as PX200, :idbv as PX201, :idbv as PX202, :idbv as PX203, :idbv as PX204, :idbv as PX205, :idbv as PX206, :idbv as PX207, :idbv as PX208, :idbv as PX209, :idbv as PX210, :idbv as PX211, :idbv as PX212, :idbv as PX213, :idbv as PX214, :idbv as PX215, :idbv as PX216, :idbv as PX217, :idbv as PX218, :idbv as PX219, :idbv as PX220, :idbv as PX221, :idbv as PX222, :idbv as PX223, :idbv as PX224, :idbv as PX225, :idbv as PX226, :idbv as PX227, :idbv as PX228, :idbv as PX229, :idbv as PX230, :idbv as PX231, :idbv as PX232, :idbv as PX233, :idbv as PX234, :idbv as PX235, :idbv as PX236, :idbv as PX237, :idbv as PX238, :idbv as PX239, :idbv as PX240, :idbv as PX241, :idbv as PX242, :idbv as PX243, :idbv as PX244, :idbv as PX245, :idbv as PX246, :idbv as PX247, :idbv as PX248, :idbv as PX249, :idbv as PX250, :idbv as PX251, :idbv as PX252, :idbv as PX253, :idbv as PX254, :idbv as PX255, :idbv as PX256, :idbv as PX257, :idbv as PX258, :idbv as PX259, :idbv as PX260, :idbv as PX261, :idbv as PX262, :idbv as PX263, :idbv as PX264, :idbv as PX265, :idbv as PX266, :idbv as PX267, :idbv as PX268, :idbv as PX269, :idbv as PX270, :idbv as PX271, :idbv as PX272, :idbv as PX273, :idbv as PX274, :idbv as PX275, :idbv as PX276, :idbv as PX277, :idbv as PX278, :idbv as PX279, :idbv as PX280, :idbv as PX281, :idbv as PX282, :idbv as PX283, :idbv as PX284, :idbv as PX285, :idbv as PX286, :idbv as PX287, :idbv as PX288, :idbv as PX289, :idbv as PX290, :idbv as PX291, :idbv as PX292, :idbv as PX293, :idbv as PX294, :idbv as PX295, :idbv as PX296, :idbv as PX297, :idbv as PX298, :idbv as PX299, :idbv as PX300, :idbv as PX301, :idbv as PX302, :idbv as PX303, :idbv as PX304, :idbv as PX305, :idbv as PX306, :idbv as PX307, :idbv as PX308, :idbv as PX309, :idbv as PX310, :idbv as PX311, :idbv as PX312, :idbv as PX313, :idbv as PX314, :idbv as PX315, :idbv as PX316, :idbv as PX317, :idbv as PX318, :idbv as PX319,
-          :idbv as PX320, :idbv as PX321, :idbv as PX322, :idbv as PX323, :idbv as PX324, :idbv as PX325, :idbv as PX326, :idbv as PX327, :idbv as PX328, :idbv as PX329, :idbv as PX330, :idbv as PX331, :idbv as PX332, :idbv as PX333, :idbv as PX334, :idbv as PX335, :idbv as PX336, :idbv as PX337, :idbv as PX338, :idbv as PX339, :idbv as PX340, :idbv as PX341, :idbv as PX342, :idbv as PX343, :idbv as PX344, :idbv as PX345, :idbv as PX346, :idbv as PX347, :idbv as PX348, :idbv as PX349, :idbv as PX350, :idbv as PX351, :idbv as PX352, :idbv as PX353, :idbv as PX354, :idbv as PX355, :idbv as PX356, :idbv as PX357, :idbv as PX358, :idbv as PX359, :idbv as PX360, :idbv as PX361, :idbv as PX362, :idbv as PX363, :idbv as PX364, :idbv as PX365, :idbv as PX366, :idbv as PX367, :idbv as PX368, :idbv as PX369, :idbv as PX370, :idbv as PX371, :idbv as PX372, :idbv as PX373, :idbv as PX374, :idbv as PX375, :idbv as PX376, :idbv as PX377, :idbv as PX378, :idbv as PX379, :idbv as PX380, :idbv as PX381, :idbv as PX382, :idbv as PX383, :idbv as PX384, :idbv as PX385, :idbv as PX386, :idbv as PX387, :idbv as PX388, :idbv as PX389, :idbv as PX390, :idbv as PX391, :idbv as PX392, :idbv as PX393, :idbv as PX394, :idbv as PX395, :idbv as PX396, :idbv as PX397, :idbv as PX398, :idbv as PX399, :idbv as PX400, :idbv as PX401, :idbv as PX402, :idbv as PX403, :idbv as PX404, :idbv as PX405, :idbv as PX406, :idbv as PX407, :idbv as PX408, :idbv as PX409, :idbv as PX410, :idbv as PX411, :idbv as PX412, :idbv as PX413, :idbv as PX414, :idbv as PX415, :idbv as PX416, :idbv as PX417, :idbv as PX418, :idbv as PX419, :idbv as PX420, :idbv as PX421, :idbv as PX422, :idbv as PX423, :idbv as PX424, :idbv as PX425, :idbv as PX426, :idbv as PX427, :idbv as PX428, :idbv as PX429, :idbv as PX430, :idbv as PX431, :idbv as PX432, :idbv as PX433, :idbv as PX434, :idbv as PX435, :idbv as PX436, :idbv as PX437, :idbv as PX438, :idbv as PX439, :idbv as PX440, :idbv as PX441, :idbv as PX442, :idbv as PX443, :idbv as PX444, :idbv as PX445, :idbv as PX446, :idbv as PX447, :idbv as PX448, :idbv as PX449, :idbv as PX450, :idbv as PX451, :idbv as PX452, :idbv as PX453, :idbv as PX454, :idbv as PX455, :idbv as PX456, :idbv as PX457, :idbv as PX458, :idbv as PX459, :idbv as PX460, :idbv as PX461, :idbv as PX462, :idbv as PX463, :idbv as PX464, :idbv as PX465, :idbv as PX466, :idbv as PX467, :idbv as PX468, :idbv as PX469, :idbv as PX470, :idbv as PX471, :idbv as PX472, :idbv as PX473, :idbv as PX474, :idbv as PX475, :idbv as PX476, :idbv as PX477, :idbv as PX478, :idbv as PX479, :idbv as PX480, :idbv as PX481, :idbv as PX482, :idbv as PX483, :idbv as PX484, :idbv as PX485, :idbv as PX486, :idbv as PX487, :idbv as PX488, :idbv as PX489,
-          :idbv as PX490, :idbv as PX491, :idbv as PX492, :idbv as PX493, :idbv as PX494, :idbv as PX495, :idbv as PX496, :idbv as PX497, :idbv as PX498, :idbv as PX499, :idbv as PX500, :idbv as PX501, :idbv as PX502, :idbv as PX503, :idbv as PX504, :idbv as PX505, :idbv as PX506, :idbv as PX507, :idbv as PX508, :idbv as PX509, :idbv as PX510, :idbv as PX511, :idbv as PX512, :idbv as PX513, :idbv as PX514, :idbv as PX515, :idbv as PX516, :idbv as PX517, :idbv as PX518, :idbv as PX519, :idbv as PX520, :idbv as PX521, :idbv as PX522, :idbv as PX523, :idbv as PX524, :idbv as PX525, :idbv as PX526, :idbv as PX527, :idbv as PX528, :idbv as PX529, :idbv as PX530, :idbv as PX531, :idbv as PX532, :idbv as PX533, :idbv as PX534, :idbv as PX535, :idbv as PX536, :idbv as PX537, :idbv as PX538, :idbv as PX539, :idbv as PX540, :idbv as PX541, :idbv as PX542, :idbv as PX543, :idbv as PX544, :idbv as PX545, :idbv as PX546, :idbv as PX547, :idbv as PX548, :idbv as PX549, :idbv as PX550, :idbv as PX551, :idbv as PX552, :idbv as PX553, :idbv as PX554, :idbv as PX555, :idbv as PX556, :idbv as PX557, :idbv as PX558, :idbv as PX559, :idbv as PX560, :idbv as PX561, :idbv as PX562, :idbv as PX563, :idbv as PX564, :idbv as PX565, :idbv as PX566, :idbv as PX567, :idbv as PX568, :idbv as PX569, :idbv as PX570, :idbv as PX571, :idbv as PX572, :idbv as PX573, :idbv as PX574, :idbv as PX575, :idbv as PX576, :idbv as PX577, :idbv as PX578, :idbv as PX579, :idbv as PX580, :idbv as PX581, :idbv as PX582, :idbv as PX583, :idbv as PX584, :idbv as PX585, :idbv as PX586, :idbv as PX587, :idbv as PX588, :idbv as PX589, :idbv as PX590, :idbv as PX591, :idbv as PX592, :idbv as PX593, :idbv as PX594, :idbv as PX595, :idbv as PX596, :idbv as PX597, :idbv as PX598, :idbv as PX599, :idbv as PX600, :idbv as PX601, :idbv as PX602, :idbv as PX603, :idbv as PX604, :idbv as PX605, :idbv as PX606, :idbv as PX607, :idbv as PX608, :idbv as PX609, :idbv as PX610, :idbv as PX611, :idbv as PX612, :idbv as PX613, :idbv as PX614, :idbv as PX615, :idbv as PX616, :idbv as PX617, :idbv as PX618, :idbv as PX619, :idbv as PX620, :idbv as PX621, :idbv as PX622, :idbv as PX623, :idbv as PX624, :idbv as PX625, :idbv as PX626, :idbv as PX627, :idbv as PX628,
-          :idbv as PX629, :idbv as PX630, :idbv as PX631, :idbv as PX632, :idbv as PX633, :idbv as PX634, :idbv as PX635, :idbv as PX636, :idbv as PX637, :idbv as PX638, :idbv as PX639, :idbv as PX640, :idbv as PX641, :idbv as PX642, :idbv as PX643, :idbv as PX644, :idbv as PX645, :idbv as PX646, :idbv as PX647, :idbv as PX648, :idbv as PX649, :idbv as PX650, :idbv as PX651, :idbv as PX652, :idbv as PX653, :idbv as PX654, :idbv as PX655, :idbv as PX656, :idbv as PX657, :idbv as PX658, :idbv as PX659, :idbv as PX660, :idbv as PX661, :idbv as PX662, :idbv as PX663, :idbv as PX664, :idbv as PX665, :idbv as PX666, :idbv as PX667, :idbv as PX668, :idbv as PX669, :idbv as PX670, :idbv as PX671, :idbv as PX672, :idbv as PX673, :idbv as PX674, :idbv as PX675, :idbv as PX676, :idbv as PX677, :idbv as PX678, :idbv as PX679, :idbv as PX680, :idbv as PX681, :idbv as PX682, :idbv as PX683, :idbv as PX684, :idbv as PX685, :idbv as PX686, :idbv as PX687, :idbv as PX688, :idbv as PX689, :idbv as PX690, :idbv as PX691, :idbv as PX692, :idbv as PX693, :idbv as PX694, :idbv as PX695, :idbv as PX696, :idbv as PX697, :idbv as PX698, :idbv as PX699, :idbv as PX700, :idbv as PX701, :idbv as PX702, :idbv as PX703, :idbv as PX704, :idbv as PX705, :idbv as PX706, :idbv as PX707, :idbv as PX708, :idbv as PX709, :idbv as PX710, :idbv as PX711, :idbv as PX712, :idbv as PX713, :idbv as PX714, :idbv as PX715, :idbv as PX716, :idbv as PX717, :idbv as PX718, :idbv as PX719, :idbv as PX720, :idbv as PX721, :idbv as PX722, :idbv as PX723, :idbv as PX724, :idbv as PX725, :idbv as PX726, :idbv as PX727, :idbv as PX728, :idbv as PX729, :idbv as PX730, :idbv as PX731, :idbv as PX732, :idbv as PX733, :idbv as PX734, :idbv as PX735, :idbv as PX736, :idbv as PX737, :idbv as PX738, :idbv as PX739, :idbv as PX740, :idbv as PX741, :idbv as PX742, :idbv as PX743, :idbv as PX744, :idbv as PX745, :idbv as PX746, :idbv as PX747, :idbv as PX748, :idbv as PX749, :idbv as PX750, :idbv as PX751, :idbv as PX752, :idbv as PX753, :idbv as PX754, :idbv as PX755, :idbv as PX756, :idbv as PX757, :idbv as PX758, :idbv as PX759, :idbv as PX760, :idbv as PX761, :idbv as PX762, :idbv as PX763, :idbv as PX764, :idbv as PX765, :idbv as PX766, :idbv as PX767, :idbv as PX768, :idbv as PX769, :idbv as PX770, :idbv as PX771, :idbv as PX772, :idbv as PX773, :idbv as PX774, :idbv as PX775, :idbv as PX776, :idbv as PX777, :idbv as PX778, :idbv as PX779, :idbv as PX780, :idbv as PX781, :idbv as PX782, :idbv as PX783, :idbv as PX784
-          ) pred FROM dual`,
-        id);
-      console.log("Result from db: ");
-      console.log(result);
-
-      displayResults(response, result);
+    return decodeURIComponent(text);
+  } catch (err) {
+    throw new InputError('malformed URL encoding in the path');
+  }
+}
 
-    } else {
-      console.log(id);
-      console.log("Not an MNIST image!");
-    }
+// GET /healthz answers as long as the process runs
+async function handleHealthRequest(request, response) {
+  sendJson(response, 200, { status: "ok", uptime: process.uptime() });
+}
+
+// GET /readyz answers 200 when the backend can predict: for the oracle
+// backend a pooled connection runs SELECT 1 FROM dual and finds the models.
+// A draining process answers 503 so load balancers stop sending requests.
+async function handleReadyRequest(request, response) {
+  if (draining) {
+    return sendJson(response, 503, { status: "draining" });
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('no answer in ' +
+      READY_TIMEOUT_MS + ' ms')), READY_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([backend.ping(traceOf(request, 'ping')), timeout]);
+    sendJson(response, 200, { status: "ready", backend: backend.name,
+      models: backend.models.map((m) => m.name) });
   } catch (err) {
-    handleError(response, "handleRequest() error", err);
+    dbErrors.inc({ operation: 'ping' });
+    request.log.error("handleReadyRequest() error", err);
+    sendJson(response, 503, { status: "not ready", error: err.message });
   } finally {
-    if (connection) {
-      try {
-        // Release the connection back to the connection pool
-        await connection.close();
-      } catch (err) {
-        console.error(err);
+    clearTimeout(timer);
+  }
+}
+
+// GET /metrics in the Prometheus text format.  When API keys are on it
+// needs one, since it shows the traffic of every client.
+async function handleMetricsRequest(request, response) {
+  if (keys) {
+    await admit(request, ROUTES['metrics']);
+  }
+  response.writeHead(200, {
+    "Content-Type": "text/plain; version=0.0.4; charset=utf-8"
+  });
+  response.end(registry.render());
+}
+
+// Registers the metrics read from the backend pool, the cache and the
+// scheduler when /metrics is scraped
+function collectMetrics() {
+  const pool = (field) => () => {
+    const stats = backend.poolStatistics();
+    return stats ? [{ value: stats[field] }] : [];
+  };
+  registry.collected('mnist_db_pool_connections_open',
+    'Connections open in the pool', 'gauge', pool('connectionsOpen'));
+  registry.collected('mnist_db_pool_connections_in_use',
+    'Connections checked out of the pool', 'gauge', pool('connectionsInUse'));
+  registry.collected('mnist_db_pool_max', 'Most connections in the pool',
+    'gauge', pool('poolMax'));
+  registry.collected('mnist_db_pool_queue_length',
+    'Requests waiting for a connection', 'gauge', pool('currentQueueLength'));
+  registry.collected('mnist_db_pool_requests_total',
+    'Connection requests to the pool', 'counter', pool('connectionRequests'));
+  registry.collected('mnist_db_pool_failed_requests_total',
+    'Connection requests that failed', 'counter', pool('failedRequests'));
+  registry.collected('mnist_db_pool_rejected_requests_total',
+    'Connection requests rejected because the queue was full', 'counter',
+    pool('rejectedRequests'));
+  registry.collected('mnist_db_pool_request_timeouts_total',
+    'Connection requests that timed out in the queue', 'counter',
+    pool('requestTimeouts'));
+
+  registry.collected('mnist_cache_hits_total', 'Predictions from the cache',
+    'counter', () => [{ value: cache.stats().hits }]);
+  registry.collected('mnist_cache_misses_total',
+    'Predictions not in the cache', 'counter',
+    () => [{ value: cache.stats().misses }]);
+  registry.collected('mnist_cache_entries', 'Predictions in the cache',
+    'gauge', () => [{ value: cache.stats().size }]);
+
+  registry.collected('mnist_live_connections',
+    'Open WebSocket connections of /api/live', 'gauge',
+    () => [{ value: live.connections() }]);
+
+  registry.collected('mnist_queue_length',
+    'Predictions waiting to be batched', 'gauge',
+    () => [{ value: scheduler.stats().queued }]);
+  registry.collected('mnist_batches_total', 'Batches sent to the backend',
+    'counter', () => [{ value: scheduler.stats().batches }]);
+  registry.collected('mnist_queue_rejected_total',
+    'Predictions refused with a 503', 'counter',
+    () => [{ value: scheduler.stats().rejected }]);
+}
+
+// Records the latency and predicted labels of a prediction request
+function recordPredictions(endpoint, model, values, latencyMs) {
+  predictionSeconds.observe({ endpoint: endpoint, model: model.name },
+    latencyMs / 1000);
+  for (const value of values) {
+    predictedLabels.inc({ model: model.name, label: toLabel(value) });
+  }
+}
+
+// JSON API routes: path under /api -> {method, handler, anonymous}.
+// Segments starting with ":" match any value and are passed to the handler
+// as params.  The anonymous routes, the ones the canvas page uses, work
+// without an API key, see admit().
+const API_ROUTES = {
+  'models': { method: 'GET', handler: handleModelsRequest,
+    anonymous: true },
+  'predict': { method: 'POST', handler: handlePredictRequest,
+    anonymous: true },
+  'predict/batch': { method: 'POST', handler: handleBatchRequest },
+  'predict/image': { method: 'POST', handler: handleImageRequest,
+    anonymous: true },
+  'predict/number': { method: 'POST', handler: handleNumberRequest,
+    anonymous: true },
+  'explain': { method: 'POST', handler: handleExplainRequest,
+    anonymous: true },
+  'cache': { method: 'GET', handler: handleCacheRequest },
+  'samples': { method: 'GET', handler: handleSamplesRequest },
+  'samples/:id/feedback': { method: 'POST', handler: handleFeedbackRequest,
+    anonymous: true },
+  'live': { method: 'GET', handler: handleLiveRequest,
+    anonymous: true },
+};
+
+// Returns {route, params} for a path under /api, or undefined
+function matchApiRoute(path) {
+  const parts = path.split("/");
+  for (const pattern of Object.keys(API_ROUTES)) {
+    const patternParts = pattern.split("/");
+    if (patternParts.length != parts.length) {
+      continue;
+    }
+    const params = {};
+    const matches = patternParts.every((part, i) => {
+      if (part.startsWith(":")) {
+        params[part.slice(1)] = parts[i];
+        return true;
       }
+      return part == parts[i];
+    });
+    if (matches) {
+      return { route: API_ROUTES[pattern], pattern: pattern, params: params };
     }
   }
 }
 
-function getCanvas(request, response) {
-  response.writeHead(200, { "Access-Control-Allow-Origin": "*" });
-  response.write('<!DOCTYPE html>');
-  response.write('');
-  response.write('<!-- edited from https://maneprajakta.github.io/Digit_Recognition_Web_App/   -->');
-  response.write('');
-  response.write('<!-- MIT License   -->');
-  response.write('');
-  response.write('<!-- Copyright (c) 2020 Prajakta Mane   -->');
-  response.write('');
-  response.write('<!-- Permission is hereby granted, free of charge, to any person obtaining a copy   -->');
-  response.write('<!-- of this software and associated documentation files (the "Software"), to deal   -->');
-  response.write('<!-- in the Software without restriction, including without limitation the rights   -->');
-  response.write('<!-- to use, copy, modify, merge, publish, distribute, sublicense, and/or sell   -->');
-  response.write('<!-- copies of the Software, and to permit persons to whom the Software is   -->');
-  response.write('<!-- furnished to do so, subject to the following conditions:   -->');
-  response.write('');
-  response.write('<!-- The above copyright notice and this permission notice shall be included in all   -->');
-  response.write('<!-- copies or substantial portions of the Software.   -->');
-  response.write('');
-  response.write('<!-- THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR   -->');
-  response.write('<!-- IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,   -->');
-  response.write('<!-- FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE   -->');
-  response.write('<!-- AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER   -->');
-  response.write('<!-- LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,   -->');
-  response.write('<!-- OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE   -->');
-  response.write('<!-- SOFTWARE.   -->');
-  response.write('');
-  response.write('');
-  response.write('<head>');
-  response.write('  <title>Digit Recognition WebApp</title>');
-  response.write('');
-  response.write('  <meta name="viewport" content="width=device-width">');
-  response.write('  <!-- GoogleFont -->');
-  response.write('  <link href="https://fonts.googleapis.com/css2?family=Prompt:wght@600&display=swap" rel="stylesheet">');
-  response.write('  <link href="https://fonts.googleapis.com/css2?family=Varela+Round&display=swap" rel="stylesheet">');
-  response.write('  <link href="https://fonts.googleapis.com/css2?family=Source+Code+Pro:wght@500&display=swap" rel="stylesheet">');
-  response.write('  <link href="https://fonts.googleapis.com/css?family=Calistoga|Josefin+Sans:400,700|Pacifico&display=swap" rel="stylesheet">');
-  response.write('  <!-- bootstrap -->');
-  response.write('  <link rel="stylesheet" href="https://stackpath.bootstrapcdn.com/bootstrap/4.3.1/css/bootstrap.min.css" integrity="sha384-ggOyR0iXCbMQv3Xipma34MD+dH/1fQ784/j6cY/iJTQUOhcWr7x9JvoRxT2MZw1T" crossorigin="anonymous">');
-  response.write('  <!-- stylesheet -->');
-  response.write('  <link rel="stylesheet" href="style.css">');
-  response.write('  <!-- fontawesome -->');
-  response.write('  <script src="https://kit.fontawesome.com/b3aed9cb07.js" crossorigin="anonymous"></script>');
-  response.write('  ');
-  response.write('  <script src="https://code.jquery.com/jquery-3.3.1.slim.min.js" integrity="sha384-q8i/X+965DzO0rT7abK41JStQIAqVgRVzpbzo5smXKp4YfRvH+8abtTE1Pi6jizo" crossorigin="anonymous"></script>');
-  response.write('  <script src="https://cdnjs.cloudflare.com/ajax/libs/popper.js/1.14.7/umd/popper.min.js" integrity="sha384-UO2eT0CpHqdSJQ6hJty5KVphtPhzWj9WO1clHTMGa3JDZwrnQq4sF86dIHNDz0W1" crossorigin="anonymous"></script>');
-  response.write('  <script src="https://stackpath.bootstrapcdn.com/bootstrap/4.3.1/js/bootstrap.min.js" integrity="sha384-JjSmVgyd0p3pXB1rRibZUAYoIIy6OrQ6VrjIEaFf/nJGzIxFDsf4x0xIM+B07jRM" crossorigin="anonymous"></script>');
-  response.write('  <script src= ');
-  response.write('"https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js"> ');
-  response.write('    </script> ');
-  response.write('</head>');
-  response.write('');
-  response.write('<body onload="init()">');
-  response.write('');
-  response.write(' ');
-  response.write('  <section id="title">');
-  response.write('    <h1 class="heading">Handwritten Digit Recognition Web App with ORACLE backend</h1>');
-  response.write('');
-  response.write('  </section>');
-  response.write('');
-  response.write('  <section id="content">');
-  response.write('    <div id="sketchpadapp">');
-  response.write('');
-  response.write('      <div class="row">');
-  response.write('        <div class="leftside">');
-  response.write('');
-  response.write('          <div class="">');
-  response.write('            <canvas id="sketchpad" height="400" width="400">');
-  response.write('            </canvas>');
-  response.write('          </div>');
-  response.write('');
-  response.write('          <div class="buttons_div">');
-  response.write('            <button type="button" class="btn btn-dark" id="predict_button">Predict</button>');
-  response.write('            <button type="button" class="btn btn-dark" id="clear_button">&nbsp Clear &nbsp</button>');
-  response.write('          </div>');
-  response.write('        </div>');
-  response.write('');
-  response.write('        <div class="predicted_answer col-sm-6">');
-  response.write('          <h2 id="prediction_heading">Prediction</h2>');
-  response.write('          <h1 id="result">-</h1>');
-  response.write('          <p id="floatValue">float value: -</p>');
-  response.write('        </div>');
-  response.write('      </div>');
-  response.write('    </div>');
-  response.write('  </section>  ');
-  response.write('  <script src="script.js" charset="utf-8">');
-  response.write('  </script>');
-  response.write('</body>');
-  response.write('</html>  ');
-  response.end();
+async function handleApiRequest(request, response, url) {
+  const match = matchApiRoute(url.pathname.replace(/^\/api\/?|\/$/g, ''));
+  if (!match) {
+    return sendJson(response, 404, { error: "Not found" });
+  }
+  const route = match.route;
+  if (request.method == 'OPTIONS') {
+    return sendPreflight(request, response, route);
+  }
+  if (request.method != route.method) {
+    return sendMethodNotAllowed(response, route);
+  }
+
+  try {
+    await admit(request, route);
+    for (const name of Object.keys(match.params)) {
+      match.params[name] = decodePath(match.params[name]);
+    }
+    await route.handler(request, response, url, match.params);
+  } catch (err) {
+    sendError(request, response, "handleApiRequest() error", err);
+  }
+}
+
+// Lets a request to a route in, or throws an AccessError.  A client with an
+// API key must use a known key, and is limited per key.  A client without
+// one is limited per address and, when keys are on, may only use the
+// anonymous routes.  request.spend() then takes another token of the same
+// client, for the messages of a live connection.
+async function admit(request, route) {
+  const key = keys && apiKeyOf(request);
+  const address = clientAddress(request);
+  let limiter = anonymousLimiter;
+  let client = address;
+  if (key) {
+    // A key not known yet costs the address a token first, so made-up keys
+    // are throttled like anonymous requests before they reach the store
+    let name = keys.peek(key);
+    if (!name) {
+      spend(anonymousLimiter, address);
+      name = await keys.lookup(key, traceOf(request, 'key lookup'));
+    }
+    if (!name) {
+      throw new AccessError("Unknown API key", 401);
+    }
+    request.log = request.log.child({ apiKey: name });
+    request.apiKeyName = name;
+    limiter = keyLimiter;
+    client = name;
+  } else if (keys && !(route.anonymous && config.auth.anonymous)) {
+    throw new AccessError("This route needs an API key", 401);
+  }
+  spend(limiter, client);
+  request.spend = () => spend(limiter, client);
 }
 
-// Display query results -> send results as XML
-function displayResults(response, result) {
-  response.writeHead(200, { "Access-Control-Allow-Origin": "*" });
-  for (let row = 0; row < result.rows.length; row++) {
-    for (let col = 0; col < result.rows[row].length; col++) {
-      response.write("<resultado>" + result.rows[row][col] + "</resultado>");
+// Returns the address of the client.  Behind server.trustProxy proxies it
+// is the one the farthest of them saw, read from the end of
+// X-Forwarded-For, since a client can put anything at its start.
+function clientAddress(request) {
+  const hops = config.server.trustProxy;
+  const forwarded = request.headers['x-forwarded-for'];
+  if (hops > 0 && forwarded) {
+    const addresses = forwarded.split(',').map((a) => a.trim())
+      .filter((a) => a);
+    if (addresses.length > 0) {
+      return addresses[Math.max(0, addresses.length - hops)];
     }
   }
+  return request.socket.remoteAddress;
+}
+
+// Takes a token of the client's bucket, or throws a 429 AccessError
+function spend(limiter, client) {
+  const wait = limiter.take(client);
+  if (wait > 0) {
+    throw new AccessError("Too many requests, try again in " + wait + " s",
+      429, wait);
+  }
+}
+
+// Returns the Origin of a request when it may call the API from another
+// site, null otherwise
+function allowedOrigin(request) {
+  const origin = request.headers.origin;
+  if (origin && (corsOrigins.has('*') || corsOrigins.has(origin))) {
+    return origin;
+  }
+  return null;
+}
+
+// Lets the browser give the answer to a page of an allowed origin
+function allowCors(request, response) {
+  const origin = allowedOrigin(request);
+  if (origin) {
+    response.setHeader('Access-Control-Allow-Origin', origin);
+    response.setHeader('Access-Control-Expose-Headers',
+      'X-Request-Id, Retry-After');
+  }
+  if (corsOrigins.size > 0) {
+    response.setHeader('Vary', 'Origin');
+  }
+}
+
+// Answers the OPTIONS request a browser sends before calling the API from
+// another site
+function sendPreflight(request, response, route) {
+  if (!allowedOrigin(request)) {
+    return sendJson(response, 403, { error: "Origin not allowed" });
+  }
+  response.writeHead(204, {
+    'Access-Control-Allow-Methods': route.method,
+    'Access-Control-Allow-Headers':
+      'Authorization, Content-Type, X-API-Key, X-Client-Id, X-Request-Id',
+    'Access-Control-Max-Age': '600'
+  });
   response.end();
 }
 
-// Report an error
-function handleError(response, text, err) {
-  if (err) {
-    text += ": " + err.message;
+// GET /api/models lists the models that can be named in predictions
+async function handleModelsRequest(request, response) {
+  sendJson(response, 200, {
+    default: backend.modelName,
+    models: backend.models
+  });
+}
+
+// POST /api/predict takes {"pixels": [...]} with either 784 numbers or 28
+// rows of 28 numbers and answers with the predicted label and the "topK"
+// most probable classes.  "model" (or ?model=) picks a model other than the
+// default.  "store": false (or ?store=false) keeps the image out of the
+// samples and the cache, for tools that run test sets through the server.
+async function handlePredictRequest(request, response, url) {
+  const json = parseJson(await readBody(request));
+  const model = findModel((json && json.model) || url.searchParams.get('model'));
+  const { pixels, topK } = parsePredictBody(json, model);
+  if (json.store !== undefined && typeof json.store !== 'boolean') {
+    throw new InputError('"store" must be true or false');
+  }
+  const store = json.store !== false &&
+    url.searchParams.get('store') !== 'false';
+  const start = Date.now();
+  const trace = traceOf(request, 'predict');
+  printNumber(pixels, model, request.log);
+  const result = store ? await predictCached(pixels, topK, model, trace) :
+    Object.assign({ cached: false },
+      await scheduler.predict(pixels, topK, model.name, trace)
+        .catch(countError('predict')));
+  const latencyMs = Date.now() - start;
+  recordPredictions('predict', model, [result.value], latencyMs);
+  const [sampleId] = store ?
+    await saveSamples(request, model, [pixels], [result.value]) : [null];
+  sendJson(response, 200, {
+    label: toLabel(result.value),
+    value: result.value,
+    top: result.classes,
+    model: model.name,
+    latencyMs: latencyMs,
+    cached: result.cached,
+    sampleId: sampleId
+  });
+}
+
+// POST /api/predict/batch takes many images and scores them together
+async function handleBatchRequest(request, response, url) {
+  const body = readBatchBody(await readBody(request),
+    request.headers['content-type']);
+  const model = findModel(body.model || url.searchParams.get('model'));
+  const items = toBatchPixels(body.images, model);
+  const start = Date.now();
+  const valid = items.filter((item) => item.pixels);
+  const images = valid.map((item) => item.pixels);
+  const { values, hits } = await predictBatchCached(images, model,
+    traceOf(request, 'predict batch'));
+  const latencyMs = Date.now() - start;
+  recordPredictions('batch', model, values, latencyMs);
+  const sampleIds = valid.length > 0 ?
+    await saveSamples(request, model, images, values) : [];
+
+  let next = 0;
+  const results = items.map((item, index) => {
+    if (item.error) {
+      return { index: index, error: item.error };
+    }
+    const value = values[next];
+    const sampleId = sampleIds[next++];
+    return {
+      index: index,
+      label: toLabel(value),
+      value: value,
+      sampleId: sampleId
+    };
+  });
+  sendJson(response, 200, {
+    model: model.name,
+    count: results.length,
+    errors: items.length - valid.length,
+    cached: hits,
+    latencyMs: latencyMs,
+    results: results
+  });
+}
+
+// Reads and decodes the picture uploaded with a request and returns what
+// fn(image) makes of it, the picture being let go afterwards.  At most
+// MAX_UPLOADS requests do this at once.
+async function withUpload(request, fn) {
+  if (uploading >= MAX_UPLOADS) {
+    throw new BusyError('Too many pictures being read, try again later',
+      config.batch.retryAfter);
+  }
+  uploading++;
+  try {
+    return fn(readUpload(await readRawBody(request),
+      request.headers['content-type']));
+  } finally {
+    uploading--;
+  }
+}
+
+// POST /api/predict/image takes a PNG or JPEG picture of a digit, either as
+// the raw body or as a multipart/form-data file, turns it into an MNIST-style
+// image and predicts it.  ?model= and ?topK= work as in /api/predict.
+async function handleImageRequest(request, response, url) {
+  const model = findModel(url.searchParams.get('model'));
+  const topK = toTopK(url.searchParams.get('topK'));
+  const pixels = await withUpload(request, (image) =>
+    preprocess(image.gray, image.width, image.height, model));
+  const start = Date.now();
+  printNumber(pixels, model, request.log);
+  const result = await predictCached(pixels, topK, model,
+    traceOf(request, 'predict'));
+  const latencyMs = Date.now() - start;
+  recordPredictions('image', model, [result.value], latencyMs);
+  const [sampleId] =
+    await saveSamples(request, model, [pixels], [result.value]);
+  sendJson(response, 200, {
+    label: toLabel(result.value),
+    value: result.value,
+    top: result.classes,
+    model: model.name,
+    latencyMs: latencyMs,
+    cached: result.cached,
+    sampleId: sampleId,
+    pixels: pixels
+  });
+}
+
+// POST /api/predict/number takes a picture of a number, sent like to
+// /api/predict/image, splits it into digits and predicts each one.  The
+// answer has the number as text and per digit the label, its probability as
+// confidence and its box in the picture.
+async function handleNumberRequest(request, response, url) {
+  const model = findModel(url.searchParams.get('model'));
+  const topK = Math.max(1, toTopK(url.searchParams.get('topK')));
+  // only the size of the picture is kept for the answer
+  let size;
+  const pieces = await withUpload(request, (image) => {
+    size = { width: image.width, height: image.height };
+    return segmentDigits(image.gray, image.width, image.height);
+  });
+  if (pieces.length > MAX_DIGITS) {
+    throw new InputError('found ' + pieces.length + ' digits, the limit is ' +
+      MAX_DIGITS);
+  }
+  const images = pieces.map((piece) =>
+    preprocess(piece.gray, piece.width, piece.height, model));
+  const start = Date.now();
+  // the scheduler sends the digits to the backend together
+  const trace = traceOf(request, 'predict');
+  const results = await Promise.all(images.map((pixels) =>
+    predictCached(pixels, topK, model, trace)));
+  const latencyMs = Date.now() - start;
+  const values = results.map((result) => result.value);
+  recordPredictions('number', model, values, latencyMs);
+  const sampleIds = images.length > 0 ?
+    await saveSamples(request, model, images, values) : [];
+  sendJson(response, 200, {
+    text: values.map((value) => String(toLabel(value))).join(''),
+    model: model.name,
+    width: size.width,
+    height: size.height,
+    latencyMs: latencyMs,
+    digits: results.map((result, i) => {
+      const label = toLabel(result.value);
+      const top = result.classes.find((c) => String(c.label) == String(label));
+      return {
+        label: label,
+        value: result.value,
+        confidence: top ? top.probability : null,
+        top: result.classes,
+        box: pieces[i].box,
+        cached: result.cached,
+        sampleId: sampleIds[i]
+      };
+    })
+  });
+}
+
+// POST /api/explain takes an image like /api/predict and answers which of
+// its pixels drove the prediction, as a grid of importances in the shape
+// of the image, see explain.js.  "patch" and "stride" set the size and step
+// of the hidden squares.
+async function handleExplainRequest(request, response, url) {
+  const json = parseJson(await readBody(request));
+  const model = findModel((json && json.model) || url.searchParams.get('model'));
+  const { pixels } = parsePredictBody(json, model);
+  const options = parseExplainOptions(json, model);
+  if (explaining >= MAX_EXPLAINS) {
+    throw new BusyError('Too many explanations running, try again later',
+      config.batch.retryAfter);
+  }
+  const trace = traceOf(request, 'explain');
+  const start = Date.now();
+  // the variants are scored in one query of their own rather than through
+  // the scheduler, whose queue they would crowd the other predictions out
+  // of, and not through the cache, which they would only fill
+  let result;
+  explaining++;
+  try {
+    result = await explainPrediction(pixels, model, options,
+      (images) => backend.predictMany(images, MAX_TOP_K, model.name, trace)
+        .catch(countError('explain')));
+  } finally {
+    explaining--;
+  }
+  const latencyMs = Date.now() - start;
+  printNumber(pixels, model, request.log, result.heat);
+  const grid = [];
+  for (let row = 0; row < model.height; row++) {
+    grid.push(result.heat.slice(row * model.width, (row + 1) * model.width));
+  }
+  sendJson(response, 200, {
+    label: result.label,
+    value: result.value,
+    probability: result.probability,
+    measure: result.measure,
+    model: model.name,
+    patch: options.patch,
+    stride: options.stride,
+    variants: result.variants,
+    latencyMs: latencyMs,
+    grid: grid
+  });
+}
+
+// GET /api/cache shows the size and the hit and miss counters of the
+// prediction cache
+async function handleCacheRequest(request, response) {
+  sendJson(response, 200, cache.stats());
+}
+
+// GET /api/samples pages through the stored samples, newest first.  Filters:
+// model, label, trueLabel, labelled=true|false, clientId, since, until,
+// limit, offset, and pixels=true to include the images.
+async function handleSamplesRequest(request, response, url) {
+  const filters = parseFilters(url.searchParams);
+  const page = await samples.list(filters,
+    traceOf(request, 'samples list'));
+  sendJson(response, 200, {
+    offset: filters.offset,
+    limit: filters.limit,
+    next: page.length == filters.limit ? filters.offset + filters.limit : null,
+    samples: page
+  });
+}
+
+// POST /api/samples/<id>/feedback with {"label": ...} records the true label
+// of a stored sample.  Without an API key a client may only label its own
+// samples, the ones stored with its client id.
+async function handleFeedbackRequest(request, response, url, params) {
+  const id = Number(params.id);
+  const json = parseJson(await readBody(request));
+  const label = json && json.label;
+  if (!Number.isInteger(id) || id < 1) {
+    throw new InputError('sample id must be a positive integer');
+  }
+  if ((typeof label != 'string' && typeof label != 'number') ||
+      String(label).length == 0 || String(label).length > 64) {
+    throw new InputError('request body must have a "label" of 1 to 64 ' +
+      'characters');
+  }
+  const owner = request.apiKeyName ? undefined : clientIdOf(request);
+  if (!await samples.label(id, label, owner,
+    traceOf(request, 'samples label'))) {
+    return sendJson(response, 404, { error: "No sample " + id });
+  }
+  sendJson(response, 200, { id: id, trueLabel: String(label) });
+}
+
+// GET /api/live is a WebSocket, see live.js.  A plain GET cannot use it.
+async function handleLiveRequest(request, response) {
+  response.setHeader('Upgrade', 'websocket');
+  sendJson(response, 426, { error: "Connect with a WebSocket" });
+}
+
+// Hands the WebSocket requests of /api/live to the live server.  Browsers
+// do not apply CORS to WebSockets, so pages of other sites not in the
+// allowlist are refused here.
+async function handleUpgrade(request, socket, head) {
+  request.id = requestId(request);
+  request.log = logger.child({ requestId: request.id });
+  try {
+    if (routeName(request.url) != "api/live") {
+      return refuseUpgrade(socket, 404);
+    }
+    if (request.headers.origin && !sameOrigin(request) &&
+        !allowedOrigin(request)) {
+      return refuseUpgrade(socket, 403);
+    }
+    await admit(request, API_ROUTES['live']);
+  } catch (err) {
+    if (!(err instanceof AccessError)) {
+      request.log.error("handleUpgrade() error", err);
+    }
+    return refuseUpgrade(socket, err.statusCode || 500, err.retryAfter);
+  }
+  live.handleUpgrade(request, socket, head);
+}
+
+// Tells whether a request comes from a page of this server
+function sameOrigin(request) {
+  try {
+    return new URL(request.headers.origin).host == request.headers.host;
+  } catch (err) {
+    return false;
+  }
+}
+
+function refuseUpgrade(socket, status, retryAfter) {
+  socket.end("HTTP/1.1 " + status + " " + http.STATUS_CODES[status] +
+    "\r\n" + (retryAfter ? "Retry-After: " + retryAfter + "\r\n" : "") +
+    "Connection: close\r\n\r\n");
+}
+
+// Answers a snapshot sent to /api/live while the user draws.  These are
+// not stored as samples, the final drawing is sent to /api/predict.  Each
+// one counts against the rate limit of the client that opened the
+// connection.
+async function predictLive(message, request) {
+  try {
+    request.spend();
+    const model = findModel(message.model);
+    const { pixels, topK } = parsePredictBody(message, model);
+    const start = Date.now();
+    const result = await predictCached(pixels, topK, model,
+      traceOf(request, 'predict live'));
+    const latencyMs = Date.now() - start;
+    recordPredictions('live', model, [result.value], latencyMs);
+    return {
+      label: toLabel(result.value),
+      value: result.value,
+      top: result.classes,
+      model: model.name,
+      latencyMs: latencyMs,
+      cached: result.cached
+    };
+  } catch (err) {
+    if (!(err instanceof InputError || err instanceof BusyError ||
+        err instanceof AccessError)) {
+      request.log.error("predictLive() error", err);
+    }
+    throw err;
+  }
+}
+
+// Predicts one image, from the cache when it was seen before.  The result
+// has cached set to tell which.  Other images go through the scheduler, and
+// a request for an image already being predicted waits for that result.
+async function predictCached(pixels, topK, model, trace) {
+  const key = cacheKey(model.name, topK, pixels);
+  const hit = await cache.get(key);
+  if (hit) {
+    return Object.assign({ cached: true }, hit);
+  }
+  let pending = inflight.get(key);
+  if (!pending) {
+    pending = scheduler.predict(pixels, topK, model.name, trace)
+      .catch(countError('predict'))
+      .then(async (result) => {
+        await cache.set(key, result);
+        return result;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, pending);
+  }
+  return Object.assign({ cached: false }, await pending);
+}
+
+// Predicts many images, sending only the ones missing from the cache to the
+// backend.  Returns {values, hits}.
+async function predictBatchCached(images, model, trace) {
+  const keys = images.map((pixels) => cacheKey(model.name, 0, pixels));
+  const hits = await Promise.all(keys.map((key) => cache.get(key)));
+  const missing = images.filter((pixels, i) => !hits[i]);
+  const fresh = missing.length > 0 ?
+    await backend.predictBatch(missing, model.name, trace)
+      .catch(countError('batch')) : [];
+
+  let next = 0;
+  const values = [];
+  for (let i = 0; i < images.length; i++) {
+    if (hits[i]) {
+      values.push(hits[i].value);
+    } else {
+      values.push(fresh[next]);
+      await cache.set(keys[i], { value: fresh[next++], classes: [] });
+    }
+  }
+  return { values: values, hits: images.length - missing.length };
+}
+
+// Returns a catch handler that counts a failed backend call and rethrows.
+// A full queue is not a backend failure.
+function countError(operation) {
+  return (err) => {
+    if (!(err instanceof BusyError)) {
+      dbErrors.inc({ operation: operation });
+    }
+    throw err;
+  };
+}
+
+// Returns the client id samples are stored with: the X-Client-Id header, or
+// else the address, cut like toSample() does
+function clientIdOf(request) {
+  return String(request.headers['x-client-id'] ||
+    clientAddress(request)).slice(0, 128);
+}
+
+// Stores the predictions as samples and returns their ids.  A failure is
+// logged but does not fail the prediction, its ids are null.  With
+// ?store=false in the URL nothing is stored and the ids are null too.
+async function saveSamples(request, model, images, values) {
+  if (/[?&]store=false(&|$)/.test(request.url)) {
+    return images.map(() => null);
   }
-  console.error(text);
-  response.writeHead(500, { "Content-Type": "text/html" });
-  response.write(text);
+  const clientId = clientIdOf(request);
+  try {
+    const rows = images.map((pixels, i) =>
+      toSample(pixels, toLabel(values[i]), model, clientId));
+    return await samples.save(rows, traceOf(request, 'samples save'));
+  } catch (err) {
+    dbErrors.inc({ operation: 'samples' });
+    request.log.error("saveSamples() error", err);
+    return images.map(() => null);
+  }
+}
+
+// Returns the model called name, the default model when name is not given
+function findModel(name) {
+  if (!name) {
+    name = backend.modelName;
+  }
+  const model = backend.models.find((m) =>
+    m.name === name || m.name === String(name).toUpperCase());
+  if (!model) {
+    throw new InputError('Unknown model "' + name + '", see GET /api/models');
+  }
+  return model;
+}
+
+// Collects the whole request body as a Buffer
+function readRawBody(request) {
+  const limit = config.limit.bodyBytes;
+  const tooLarge = () => new AccessError("Request body is larger than " +
+    limit + " bytes", 413);
+  return new Promise((resolve, reject) => {
+    if (Number(request.headers['content-length']) > limit) {
+      return reject(tooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        request.pause();
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Collects the whole request body as a string
+async function readBody(request) {
+  return (await readRawBody(request)).toString('utf8');
+}
+
+// GET / and /canvas answer with the drawing page, src/public/index.html
+function getCanvas(request, response) {
+  return staticFiles.serve(request, response, 'index.html');
+}
+
+// Display the model value -> send results as XML
+function displayResults(response, value) {
+  response.writeHead(200, { "Content-Type": "text/xml; charset=utf-8" });
+  response.write("<resultado>" + value + "</resultado>");
   response.end();
 }
 
-async function closePoolAndExit() {
-  console.log("\nTerminating");
+// Send an API response as JSON
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+// Answers a failed request as JSON: 400 for a bad request, 401, 413 and
+// 429 for a refused one, 503 when the prediction queue is full and 500 for
+// anything else.  429 and 503 tell when to try again in Retry-After.
+function sendError(request, response, text, err) {
+  if (err instanceof BusyError || err instanceof AccessError) {
+    if (err.retryAfter) {
+      response.setHeader('Retry-After', String(err.retryAfter));
+    }
+    if (err.statusCode == 401) {
+      response.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    if (err.statusCode == 413) {
+      // the rest of the body is not read
+      response.setHeader('Connection', 'close');
+    }
+  }
+  if (err instanceof InputError || err instanceof BusyError ||
+      err instanceof AccessError) {
+    return sendJson(response, err.statusCode, { error: err.message });
+  }
+  request.log.error(text, err);
+  sendJson(response, 500, { error: err.message });
+}
+
+// Stops taking connections, lets the requests in flight finish for up to
+// server.drainTimeout ms, and then closes the pool and exits.  Responses
+// from then on close their kept-alive connection, and live connections are
+// told the server is going away.
+async function drainAndExit(signal) {
+  if (draining) {
+    return;
+  }
+  draining = true;
+  logger.info("Draining", { signal: signal,
+    requests: openResponses.size });
+  if (server) {
+    live.close();
+    for (const response of openResponses) {
+      if (!response.headersSent) {
+        response.setHeader('Connection', 'close');
+      }
+    }
+    // http's server.close() would also drop the idle kept-alive
+    // connections, failing a request a client sends on one at that moment.
+    // They end instead after their next response or when they time out.
+    let timer;
+    const finished = await Promise.race([
+      new Promise((resolve) =>
+        net.Server.prototype.close.call(server, () => resolve(true))),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), config.server.drainTimeout);
+      })
+    ]);
+    clearTimeout(timer);
+    if (!finished) {
+      logger.warn("Connections still open after the drain timeout",
+        { requests: openResponses.size });
+    }
+    if (server.closeAllConnections) {
+      server.closeAllConnections();
+    } else {
+      for (const socket of openSockets) {
+        socket.destroy();
+      }
+    }
+  }
   try {
-    // Get the pool from the pool cache and close it when no
-    // connections are in use, or force it closed after 10 seconds.
-    // If this hangs, you may need DISABLE_OOB=ON in a sqlnet.ora file.
-    // This setting should not be needed if both Oracle Client and Oracle
-    // Database are 19c (or later).
-    await oracledb.getPool().close(10);
-    console.log("Pool closed");
+    if (backend) {
+      await backend.close();
+    }
+    logger.info("Terminated");
     process.exit(0);
   } catch (err) {
-    console.error(err.message);
+    logger.error("Cannot close the backend", err);
     process.exit(1);
   }
 }
 
-process
-  .once('SIGTERM', closePoolAndExit)
-  .once('SIGINT', closePoolAndExit);
+// SIGHUP without workers reads the API keys again.  With workers the
+// supervisor reloads them instead, see cluster.js.
+function reloadKeys() {
+  if (keys) {
+    logger.info("Reloading the API keys");
+    try {
+      keys.reload();
+    } catch (err) {
+      logger.error("Cannot reload the API keys", err);
+    }
+  }
+}
 
 init();